@@ -1,9 +1,107 @@
 import {
   GUI_CONFIG,
   GUI_SECTIONS,
+  EXPORT_CONFIG,
   getCanvasPresets,
 } from "./modules/config.js";
 
+/**
+ * Create the markup for a single control described by a config entry
+ */
+function createControlElement(key, config) {
+  const containerDiv = document.createElement("div");
+  containerDiv.className = "range-container";
+
+  // If the config defines a boolean type, render a checkbox instead
+  if (config.type === "boolean") {
+    // render a switch-style checkbox. Add CSS for .switch and .switch-slider in stylesheet to style it
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <label class="switch">
+          <input type="checkbox" id="${key}" ${
+      config.default ? "checked" : ""
+    } />
+          <span class="switch-slider"></span>
+        </label>
+      </div>
+    `;
+  } else if (config.type === "curve") {
+    // Canvas for the curve editor, wired up by the GUI controller
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <canvas id="${key}" class="curve-editor" width="240" height="120"></canvas>
+      </div>
+    `;
+  } else if (config.type === "color") {
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <input type="color" id="${key}" class="gui-color" value="${config.default}">
+      </div>
+    `;
+  } else if (config.type === "text") {
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <input type="text" id="${key}" class="gui-text" value="${config.default}">
+      </div>
+    `;
+  } else if (config.type === "select") {
+    // Render a dropdown/select menu
+    const optionsHtml = config.options
+      .map(
+        (opt) =>
+          `<option value="${opt.value}" ${
+            opt.value === config.default ? "selected" : ""
+          }>${opt.label}</option>`
+      )
+      .join("");
+
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <select id="${key}" class="gui-select">
+          ${optionsHtml}
+        </select>
+      </div>
+    `;
+  } else {
+    // Show number input for canvas dimensions, rotation amount, slice amount,
+    // and any control whose config asks for one
+    const showNumberInput =
+      config.numberInput ||
+      key === "canvasWidth" ||
+      key === "canvasHeight" ||
+      key === "rotationAmount" ||
+      key === "sliceAmount";
+    const numberInputHtml = showNumberInput
+      ? `<input type="number" 
+               id="${key}Value" 
+               min="${config.min}" 
+               max="${config.max}" 
+               step="${config.step}" 
+               value="${config.default}">`
+      : "";
+
+    containerDiv.innerHTML = `
+      <label>${config.label}:</label>
+      <div>
+        <input type="range" 
+               id="${key}" 
+               min="${config.min}" 
+               max="${config.max}" 
+               step="${config.step}" 
+               value="${config.default}">
+        ${numberInputHtml}
+      </div>
+    `;
+  }
+
+  return containerDiv;
+}
+
 /**
  * Dynamically generate GUI controls from configuration
  */
@@ -75,90 +173,41 @@ function generateGUIControls() {
     header.textContent = sectionConfig.title;
     guiSection.appendChild(header);
 
-    // If this is the Cinestation section, insert the cut buttons grid
+    // If this is the Cinestation section, insert the cut list
     if (sectionKey === "cinetisation") {
-      const cutsGrid = document.getElementById("cuts-grid");
-      if (cutsGrid) {
-        // Move the cuts grid to be right after this header
-        guiSection.appendChild(cutsGrid);
+      const cutsPanel = document.getElementById("cuts-panel");
+      if (cutsPanel) {
+        // Move the cut list to be right after this header
+        guiSection.appendChild(cutsPanel);
       }
     }
 
     // Add controls for this section
     controls.forEach(({ key, config }) => {
-      const containerDiv = document.createElement("div");
-      containerDiv.className = "range-container";
-
-      // If the config defines a boolean type, render a checkbox instead
-      if (config.type === "boolean") {
-        // render a switch-style checkbox. Add CSS for .switch and .switch-slider in stylesheet to style it
-        containerDiv.innerHTML = `
-          <label>${config.label}:</label>
-          <div>
-            <label class="switch">
-              <input type="checkbox" id="${key}" ${
-          config.default ? "checked" : ""
-        } />
-              <span class="switch-slider"></span>
-            </label>
-          </div>
-        `;
-      } else if (config.type === "select") {
-        // Render a dropdown/select menu
-        const optionsHtml = config.options
-          .map(
-            (opt) =>
-              `<option value="${opt.value}" ${
-                opt.value === config.default ? "selected" : ""
-              }>${opt.label}</option>`
-          )
-          .join("");
-
-        containerDiv.innerHTML = `
-          <label>${config.label}:</label>
-          <div>
-            <select id="${key}" class="gui-select">
-              ${optionsHtml}
-            </select>
-          </div>
-        `;
-      } else {
-        // Show number input for canvas dimensions, rotation amount, and slice amount
-        const showNumberInput =
-          key === "canvasWidth" ||
-          key === "canvasHeight" ||
-          key === "rotationAmount" ||
-          key === "sliceAmount";
-        const numberInputHtml = showNumberInput
-          ? `<input type="number" 
-                   id="${key}Value" 
-                   min="${config.min}" 
-                   max="${config.max}" 
-                   step="${config.step}" 
-                   value="${config.default}">`
-          : "";
-
-        containerDiv.innerHTML = `
-          <label>${config.label}:</label>
-          <div>
-            <input type="range" 
-                   id="${key}" 
-                   min="${config.min}" 
-                   max="${config.max}" 
-                   step="${config.step}" 
-                   value="${config.default}">
-            ${numberInputHtml}
-          </div>
-        `;
-      }
-
-      guiSection.appendChild(containerDiv);
+      guiSection.appendChild(createControlElement(key, config));
       console.log(
         `Created control for: ${key} (${config.label}) in section: ${sectionKey}`
       );
     });
+
+    // The ring angle table follows the cut controls
+    if (sectionKey === "cinetisation") {
+      const ringAnglesPanel = document.getElementById("ring-angles-panel");
+      if (ringAnglesPanel) {
+        guiSection.appendChild(ringAnglesPanel);
+      }
+    }
   });
 
+  // Export settings live in their own panel below the composition controls
+  const exportControls = document.getElementById("export-controls");
+  if (exportControls) {
+    exportControls.innerHTML = "";
+    Object.entries(EXPORT_CONFIG).forEach(([key, config]) => {
+      exportControls.appendChild(createControlElement(key, config));
+    });
+  }
+
   console.log("GUI controls generated");
   console.log("Total controls created:", Object.keys(GUI_CONFIG).length);
 
@@ -1,8 +1,12 @@
 import {
   getDefaultParameters,
+  getDefaultExportSettings,
   GUI_CONFIG,
+  EXPORT_CONFIG,
   clampParameter,
+  clampExportSetting,
 } from "./modules/config.js";
+import { RotationCurveEditor } from "./modules/rotation-curve.js";
 
 /**
  * GUI Controller - handles all GUI interactions
@@ -17,8 +21,12 @@ class GUIController {
       "imagePosX",
       "imagePosY",
       "imageZoom",
+      "fillPosX",
+      "fillPosY",
+      "fillZoom",
       "canvasWidth",
       "canvasHeight",
+      "lightAngle",
     ];
     this.globalParameters = {}; // Will be initialized in initializeControls
 
@@ -30,16 +38,23 @@ class GUIController {
 
     this.initializeControls();
     this.setupEventListeners();
+    this.updateDependentControls();
   }
 
   initializeControls() {
     // File input elements
     this.imageInput = document.getElementById("imageInput");
+    this.projectInput = document.getElementById("projectInput");
+    this.fillImageInput = document.getElementById("fillImageInput");
+    this.removeFillImageBtn = document.getElementById("removeFillImageBtn");
 
-    // Clear file input on page load
+    // Clear file inputs on page load
     if (this.imageInput) {
       this.imageInput.value = "";
     }
+    if (this.fillImageInput) {
+      this.fillImageInput.value = "";
+    }
 
     // Parameter controls - dynamically created from config.js
     this.controls = {};
@@ -55,6 +70,9 @@ class GUIController {
 
       const config = GUI_CONFIG[paramKey] || {};
 
+      // Parameters without a section have no generated control
+      if (!config.section) return;
+
       console.log(`Searching for ${paramKey}:`, {
         sliderFound: !!slider,
         inputFound: !!input,
@@ -65,6 +83,24 @@ class GUIController {
         // Select/dropdown control
         this.controls[paramKey] = { select };
         console.log(`✓ Select control registered for: ${paramKey}`);
+      } else if (slider && config.type === "curve") {
+        // Curve editor
+        const curve = new RotationCurveEditor(slider, (points) => {
+          if (this.isUpdatingControls) return;
+          this.parameters[paramKey] = points;
+          this.onParameterChange(paramKey, points);
+        });
+        curve.setPoints(config.default);
+        this.controls[paramKey] = { curve };
+        console.log(`✓ Curve control registered for: ${paramKey}`);
+      } else if (slider && config.type === "color") {
+        // Color picker
+        this.controls[paramKey] = { color: slider };
+        console.log(`✓ Color control registered for: ${paramKey}`);
+      } else if (slider && config.type === "text") {
+        // Free text field
+        this.controls[paramKey] = { text: slider };
+        console.log(`✓ Text control registered for: ${paramKey}`);
       } else if (slider) {
         if (config.type === "boolean") {
           // checkbox/switch
@@ -86,10 +122,28 @@ class GUIController {
 
     console.log("Final controls object:", this.controls);
 
-    // Cuts selector grid
-    this.cutsGrid = document.getElementById("cuts-grid");
-    this.cutButtons = [];
-    this.currentCutIndex = 0; // Default to Cut 1 (index 0)
+    // Export settings controls - kept apart from the composition parameters
+    this.exportSettings = getDefaultExportSettings();
+    this.exportControls = {};
+    Object.keys(EXPORT_CONFIG).forEach((key) => {
+      const slider = document.getElementById(key);
+      const input = document.getElementById(key + "Value");
+      if (slider) {
+        this.exportControls[key] = { slider, input: input || null };
+      } else {
+        console.warn(`✗ Export control not found for setting: ${key}`);
+      }
+    });
+
+    // Cut list
+    this.cutsList = document.getElementById("cuts-list");
+    this.addCutBtn = document.getElementById("addCutBtn");
+    this.currentCutId = null; // null while no cut is selected
+
+    // Ring angle table
+    this.ringAnglesPanel = document.getElementById("ring-angles-panel");
+    this.ringAnglesList = document.getElementById("ring-angles-list");
+    this.clearRingAnglesBtn = document.getElementById("clearRingAnglesBtn");
 
     // Separate global parameters from per-cut parameters
     this.globalParameters = {};
@@ -97,13 +151,30 @@ class GUIController {
       this.globalParameters[key] = this.parameters[key];
     });
 
-    this.cutParametersMap = {}; // Store parameters for each cut: {cutIndex: {paramKey: value, ...}}
+    this.cutParametersMap = {}; // Store parameters for each cut: {cutId: {paramKey: value, ...}}
 
-    this.initializeCutsGrid();
+    // Per-cut parameters edited while no cut is selected; new cuts start
+    // from the selected cut's parameters, or from these
+    this.newCutParameters = this.getPerCutDefaults();
 
     // Buttons
     this.saveBtn = document.getElementById("saveBtn");
     this.resetBtn = document.getElementById("resetBtn");
+    this.undoBtn = document.getElementById("undoBtn");
+    this.redoBtn = document.getElementById("redoBtn");
+    this.saveProjectBtn = document.getElementById("saveProjectBtn");
+    this.openProjectBtn = document.getElementById("openProjectBtn");
+    this.exportVideoBtn = document.getElementById("exportVideoBtn");
+    this.exportGifBtn = document.getElementById("exportGifBtn");
+    this.exportApngBtn = document.getElementById("exportApngBtn");
+    this.exportSequenceBtn = document.getElementById("exportSequenceBtn");
+
+    // Recent sessions (autosave recovery)
+    this.recentSessions = [];
+    this.sessionsSection = document.getElementById("sessions-section");
+    this.sessionsList = document.getElementById("sessions-list");
+    this.restoreSessionBtn = document.getElementById("restoreSessionBtn");
+    this.dismissSessionsBtn = document.getElementById("dismissSessionsBtn");
 
     this.guiToggleBtn = document.getElementById("gui-toggle");
     this.guiCloseBtn = document.getElementById("gui-close");
@@ -127,6 +198,21 @@ class GUIController {
         this.handleImageUpload(e)
       );
     }
+    if (this.projectInput) {
+      this.projectInput.addEventListener("change", (e) =>
+        this.handleProjectUpload(e)
+      );
+    }
+    if (this.fillImageInput) {
+      this.fillImageInput.addEventListener("change", (e) =>
+        this.handleFillImageUpload(e)
+      );
+    }
+    if (this.removeFillImageBtn) {
+      this.removeFillImageBtn.addEventListener("click", () =>
+        this.removeFillImage()
+      );
+    }
 
     // Parameter control handlers
     Object.keys(this.controls).forEach((param) => {
@@ -139,6 +225,21 @@ class GUIController {
           const value = e.target.value;
           this.parameters[param] = value;
           this.onParameterChange(param, value);
+          this.updateDependentControls();
+        });
+      } else if (control.color) {
+        control.color.addEventListener("input", (e) => {
+          if (this.isUpdatingControls) return; // Skip if programmatically set
+          const value = e.target.value;
+          this.parameters[param] = value;
+          this.onParameterChange(param, value);
+        });
+      } else if (control.text) {
+        control.text.addEventListener("change", (e) => {
+          if (this.isUpdatingControls) return; // Skip if programmatically set
+          const value = e.target.value;
+          this.parameters[param] = value;
+          this.onParameterChange(param, value);
         });
       } else if (control.slider && control.input) {
         // Sync slider and number input with validation
@@ -180,6 +281,7 @@ class GUIController {
             const checked = e.target.checked;
             this.parameters[param] = checked;
             this.onParameterChange(param, checked);
+            this.updateDependentControls();
 
             // If this is the animated toggle, enable/disable rotationSpeed control
             if (param === "animated") {
@@ -205,6 +307,33 @@ class GUIController {
       }
     });
 
+    // Export settings handlers
+    Object.keys(this.exportControls).forEach((key) => {
+      const control = this.exportControls[key];
+
+      if (EXPORT_CONFIG[key].type === "boolean") {
+        control.slider.addEventListener("change", (e) => {
+          this.exportSettings[key] = e.target.checked;
+        });
+        return;
+      }
+
+      const syncValue = (rawValue) => {
+        const value = clampExportSetting(key, rawValue);
+        this.exportSettings[key] = value;
+        control.slider.value = value;
+        if (control.input) control.input.value = value;
+      };
+      control.slider.addEventListener("input", (e) =>
+        syncValue(e.target.value)
+      );
+      if (control.input) {
+        control.input.addEventListener("change", (e) =>
+          syncValue(e.target.value)
+        );
+      }
+    });
+
     // Canvas preset buttons
     const presetButtons = document.querySelectorAll(".canvas-preset-btn");
     presetButtons.forEach((button) => {
@@ -222,6 +351,65 @@ class GUIController {
     if (this.resetBtn) {
       this.resetBtn.addEventListener("click", () => this.resetImage());
     }
+    if (this.addCutBtn) {
+      this.addCutBtn.addEventListener("click", () => {
+        if (this.sketch && this.sketch.addCut) this.sketch.addCut();
+      });
+    }
+    if (this.ringAnglesPanel) {
+      this.ringAnglesPanel.addEventListener("toggle", () =>
+        this.refreshRingAngles()
+      );
+    }
+    if (this.clearRingAnglesBtn) {
+      this.clearRingAnglesBtn.addEventListener("click", () =>
+        this.setRingAngleOverrides({})
+      );
+    }
+    if (this.undoBtn) {
+      this.undoBtn.addEventListener("click", () => this.undo());
+    }
+    if (this.redoBtn) {
+      this.redoBtn.addEventListener("click", () => this.redo());
+    }
+    if (this.saveProjectBtn) {
+      this.saveProjectBtn.addEventListener("click", () => this.saveProject());
+    }
+    if (this.openProjectBtn && this.projectInput) {
+      this.openProjectBtn.addEventListener("click", () =>
+        this.projectInput.click()
+      );
+    }
+    if (this.exportVideoBtn) {
+      this.exportVideoBtn.addEventListener("click", () => this.exportVideo());
+    }
+    if (this.exportGifBtn) {
+      this.exportGifBtn.addEventListener("click", () =>
+        this.exportAnimation("gif", this.exportGifBtn)
+      );
+    }
+    if (this.exportApngBtn) {
+      this.exportApngBtn.addEventListener("click", () =>
+        this.exportAnimation("apng", this.exportApngBtn)
+      );
+    }
+    if (this.restoreSessionBtn) {
+      this.restoreSessionBtn.addEventListener("click", () => {
+        if (this.recentSessions.length > 0) {
+          this.restoreSession(this.recentSessions[0].id);
+        }
+      });
+    }
+    if (this.dismissSessionsBtn) {
+      this.dismissSessionsBtn.addEventListener("click", () =>
+        this.hideRecentSessions()
+      );
+    }
+    if (this.exportSequenceBtn) {
+      this.exportSequenceBtn.addEventListener("click", () =>
+        this.exportAnimation("sequence", this.exportSequenceBtn)
+      );
+    }
     if (this.guiToggleBtn) {
       this.guiToggleBtn.addEventListener("click", () => this.openGui());
     }
@@ -237,100 +425,324 @@ class GUIController {
         this.closeGui();
       }
     });
-  }
 
-  initializeCutsGrid() {
-    // Create 6 cut selector buttons (3 rows of 2)
-    if (!this.cutsGrid) return;
+    // Ctrl/Cmd+Z to undo, Shift+Ctrl/Cmd+Z (or Ctrl+Y) to redo
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
 
-    this.cutsGrid.innerHTML = "";
-    this.cutButtons = [];
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
 
-    for (let i = 0; i < 6; i++) {
-      const button = document.createElement("button");
-      button.className = "cut-selector-btn";
-      if (i === 0) {
-        button.classList.add("active"); // Cut 1 is active by default
+      // Leave typed fields their native text undo
+      if (
+        e.target.closest &&
+        e.target.closest("input[type='number'], input[type='text']")
+      ) {
+        return;
+      }
+
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
       }
-      button.textContent = `Cut ${i + 1}`;
-      button.dataset.cutIndex = i;
+    });
+
+    // Ctrl/Cmd+] to bring the selected cut forward, Ctrl/Cmd+[ to send it back
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.key !== "]" && e.key !== "[") return;
+      if (this.currentCutId === null) return;
+
+      e.preventDefault();
+      this.reorderCut(this.currentCutId, e.key === "]" ? 1 : -1);
+    });
+  }
+
+  /**
+   * Default values of every per-cut (non-global) parameter
+   */
+  getPerCutDefaults() {
+    const defaults = getDefaultParameters();
+    const perCut = {};
+    Object.keys(defaults).forEach((key) => {
+      if (!this.globalParameterKeys.includes(key)) {
+        perCut[key] = defaults[key];
+      }
+    });
+    return perCut;
+  }
+
+  /**
+   * Per-cut parameters the controls currently edit: the selected cut's, or
+   * those for new cuts when nothing is selected
+   */
+  getEditedCutParameters() {
+    return this.currentCutId !== null
+      ? this.cutParametersMap[this.currentCutId]
+      : this.newCutParameters;
+  }
+
+  /**
+   * Gives a newly added cut its own copy of `parameters`
+   */
+  addCutParameters(cutId, parameters) {
+    this.cutParametersMap[cutId] = { ...parameters };
+  }
+
+  removeCutParameters(cutId) {
+    delete this.cutParametersMap[cutId];
+  }
+
+  /**
+   * Rebuilds the cut list from the sketch's cuts, in draw order with the
+   * topmost cut first
+   */
+  refreshCutList() {
+    if (!this.cutsList || !this.sketch || !this.sketch.getCuts) return;
 
-      button.addEventListener("click", () => this.selectCut(i));
+    const cuts = this.sketch.getCuts();
+    this.cutsList.innerHTML = "";
 
-      this.cutsGrid.appendChild(button);
-      this.cutButtons.push(button);
+    if (cuts.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "cuts-empty";
+      empty.textContent = "No cuts yet. Click on the image to add one.";
+      this.cutsList.appendChild(empty);
+      return;
     }
 
-    // Initialize cut parameters map - each cut gets its OWN independent copy
-    // But ONLY for per-cut parameters (not global ones like image position/zoom)
-    for (let i = 0; i < 6; i++) {
-      // Create object with only per-cut parameters
-      this.cutParametersMap[i] = {};
-      Object.keys(this.parameters).forEach((key) => {
-        if (!this.globalParameterKeys.includes(key)) {
-          // Only copy non-global parameters
-          this.cutParametersMap[i][key] = this.parameters[key];
-        }
+    cuts
+      .slice()
+      .reverse()
+      .forEach((cut, rowIndex) => {
+        const layer = cuts.length - rowIndex; // 1 is the bottom layer
+        const row = document.createElement("div");
+        row.className = "cut-row";
+        row.classList.toggle("active", cut.id === this.currentCutId);
+        row.addEventListener("click", () => {
+          if (cut.id !== this.currentCutId) this.selectCut(cut.id);
+        });
+
+        const badge = document.createElement("span");
+        badge.className = "cut-layer";
+        badge.textContent = layer;
+        badge.title = `Layer ${layer} of ${cuts.length}`;
+
+        const name = document.createElement("input");
+        name.type = "text";
+        name.className = "cut-name";
+        name.value = cut.name;
+        name.addEventListener("change", (e) => {
+          if (this.sketch && this.sketch.renameCut) {
+            this.sketch.renameCut(cut.id, e.target.value.trim() || cut.name);
+          }
+        });
+
+        const actions = [
+          {
+            label: "▲",
+            title: "Bring forward",
+            disabled: layer === cuts.length,
+            action: () => this.reorderCut(cut.id, 1),
+          },
+          {
+            label: "▼",
+            title: "Send backward",
+            disabled: layer === 1,
+            action: () => this.reorderCut(cut.id, -1),
+          },
+          {
+            label: "×",
+            title: "Delete cut",
+            disabled: false,
+            action: () => this.removeCut(cut.id),
+          },
+        ];
+
+        row.appendChild(badge);
+        row.appendChild(name);
+        actions.forEach(({ label, title, disabled, action }) => {
+          const button = document.createElement("button");
+          button.className = "cut-action-btn";
+          button.textContent = label;
+          button.title = title;
+          button.disabled = disabled;
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            action();
+          });
+          row.appendChild(button);
+        });
+
+        this.cutsList.appendChild(row);
       });
-    }
-    console.log(
-      "✅ Cut parameters map initialized with per-cut parameters only"
-    );
-    console.log("✅ Global parameters:", this.globalParameterKeys);
   }
 
-  selectCut(cutIndex) {
-    console.log(`\n${"=".repeat(60)}`);
-    console.log(`>>> SELECTING CUT ${cutIndex}`);
-    console.log(`${"=".repeat(60)}`);
+  /**
+   * Fills the ring angle table from the edited cut, when it is open. Rows are
+   * updated in place while the ring count stays the same, so typing in one
+   * override field and tabbing to the next keeps working.
+   */
+  refreshRingAngles() {
+    if (!this.ringAnglesList || !this.ringAnglesPanel?.open) return;
+    if (!this.sketch || !this.sketch.getRingAngles) return;
+
+    const angles = this.sketch.getRingAngles();
+    if (this.ringAnglesList.children.length !== angles.length) {
+      this.ringAnglesList.innerHTML = "";
+      angles.forEach((_, ringIndex) => {
+        const row = document.createElement("tr");
+
+        const ring = document.createElement("td");
+        ring.textContent = ringIndex + 1;
+
+        const computed = document.createElement("td");
+        computed.className = "ring-angle-computed";
+
+        const overrideCell = document.createElement("td");
+        const override = document.createElement("input");
+        override.type = "number";
+        override.step = "0.1";
+        override.className = "ring-angle-override";
+        override.addEventListener("change", (e) =>
+          this.setRingAngle(ringIndex, e.target.value)
+        );
+        overrideCell.appendChild(override);
+
+        row.append(ring, computed, overrideCell);
+        this.ringAnglesList.appendChild(row);
+      });
+    }
+
+    angles.forEach(({ computed, override }, ringIndex) => {
+      const row = this.ringAnglesList.children[ringIndex];
+      row.classList.toggle("overridden", override !== null);
+      const computedCell = row.querySelector(".ring-angle-computed");
+      computedCell.textContent = `${computed.toFixed(1)}°`;
 
-    // Step 1: Update active button
-    this.cutButtons.forEach((btn, idx) => {
-      btn.classList.toggle("active", idx === cutIndex);
+      const input = row.querySelector(".ring-angle-override");
+      input.placeholder = computed.toFixed(1);
+      if (document.activeElement !== input) {
+        input.value = override !== null ? override : "";
+      }
     });
+  }
 
-    // Step 2: Switch to the selected cut
-    this.currentCutIndex = cutIndex;
+  /**
+   * Fixes one ring of the edited cut at `value` degrees, or hands it back to
+   * the rotation method when `value` is empty
+   */
+  setRingAngle(ringIndex, value) {
+    const overrides = { ...this.getEditedCutParameters().ringAngleOverrides };
+    const degrees = parseFloat(value);
+    if (isNaN(degrees)) {
+      delete overrides[ringIndex];
+    } else {
+      overrides[ringIndex] = Math.max(-180, Math.min(180, degrees));
+    }
+    this.setRingAngleOverrides(overrides);
+  }
+
+  setRingAngleOverrides(overrides) {
+    this.parameters.ringAngleOverrides = overrides;
+    this.onParameterChange("ringAngleOverrides", overrides);
+  }
+
+  reorderCut(cutId, offset) {
+    if (this.sketch && this.sketch.reorderCut) {
+      this.sketch.reorderCut(cutId, offset);
+    }
+  }
 
-    // Step 3: Rebuild this.parameters by combining global + per-cut parameters
+  removeCut(cutId) {
+    if (this.sketch && this.sketch.removeCut) {
+      this.sketch.removeCut(cutId);
+    }
+  }
+
+  /**
+   * @param {number|null} cutId - Cut to edit, or null to edit new-cut parameters
+   */
+  selectCut(cutId) {
+    if (cutId !== null && !this.cutParametersMap[cutId]) {
+      console.warn(`Unknown cut: ${cutId}`);
+      return;
+    }
+
+    // Switch to the selected cut and rebuild this.parameters by combining
+    // global + per-cut parameters
+    this.currentCutId = cutId;
     this.parameters = {
       ...this.globalParameters,
-      ...this.cutParametersMap[cutIndex],
+      ...this.getEditedCutParameters(),
     };
 
-    console.log(`Switched to Cut ${cutIndex}`);
-    console.log(`  Cut-specific: cutSize = ${this.parameters.cutSize}`);
-    console.log(
-      `  Global: imagePosX = ${this.parameters.imagePosX}, imagePosY = ${this.parameters.imagePosY}`
-    );
-
-    // Step 4: Notify sketch to clear caches BEFORE updating GUI
+    // Notify sketch to clear caches BEFORE updating GUI
     // This ensures caches are cleared before any slider events fire
-    if (this.sketch && this.sketch.selectCutSlot) {
-      this.sketch.selectCutSlot(cutIndex);
+    if (this.sketch && this.sketch.selectCut) {
+      this.sketch.selectCut(cutId);
     }
 
-    // Step 5: Update GUI controls (after caches are cleared)
+    // Update GUI controls (after caches are cleared)
     this.updateControlsFromParameters();
+    this.refreshCutList();
 
-    console.log(`${"=".repeat(60)}\n`);
+    console.log(`Switched to cut ${cutId}`);
   }
 
   /**
-   * Get parameters for a specific cut slot (used by sketch for rendering each cut)
-   * Combines per-cut parameters with global parameters
+   * Get parameters for a specific cut (used by sketch for rendering each cut)
+   * Combines per-cut parameters with global parameters. A null id gives the
+   * parameters a new cut would start with.
    */
-  getParametersForSlot(slotIndex) {
-    if (slotIndex < 0 || slotIndex >= 6) {
-      console.warn(`Invalid slot index: ${slotIndex}`);
-      return this.getDefaultParameters();
+  getParametersForCut(cutId) {
+    const perCut =
+      cutId === null ? this.newCutParameters : this.cutParametersMap[cutId];
+    if (!perCut) {
+      console.warn(`Invalid cut id: ${cutId}`);
+      return { ...this.globalParameters, ...this.getPerCutDefaults() };
     }
 
     // Combine per-cut parameters with current global parameters
     return {
       ...this.globalParameters,
-      ...this.cutParametersMap[slotIndex],
+      ...perCut,
+    };
+  }
+
+  /**
+   * Replace the parameters of every cut (e.g. when opening a project) and
+   * select `selectedCutId`. Keys missing from `parametersById` fall back to
+   * their defaults, so files saved before a parameter existed still open.
+   * @param {object} parametersById - Saved per-cut parameters keyed by cut id
+   * @param {number|null} selectedCutId
+   * @param {object} newCutParameters - Optional parameters for new cuts
+   */
+  restoreCutParameters(parametersById, selectedCutId, newCutParameters) {
+    const defaults = this.getPerCutDefaults();
+    const withDefaults = (saved) => {
+      const parameters = {};
+      Object.keys(defaults).forEach((key) => {
+        parameters[key] = key in saved ? saved[key] : defaults[key];
+      });
+      return parameters;
     };
+
+    this.cutParametersMap = {};
+    Object.keys(parametersById).forEach((cutId) => {
+      this.cutParametersMap[cutId] = withDefaults(parametersById[cutId] || {});
+    });
+    if (newCutParameters) {
+      this.newCutParameters = withDefaults(newCutParameters);
+    }
+
+    this.selectCut(
+      selectedCutId !== null && this.cutParametersMap[selectedCutId]
+        ? selectedCutId
+        : null
+    );
   }
 
   updateControlsFromParameters() {
@@ -354,23 +766,49 @@ class GUIController {
       if (control.select) {
         control.select.value = value;
       }
+      if (control.text) {
+        control.text.value = value;
+      }
+      if (control.color) {
+        control.color.value = value;
+      }
+      if (control.curve) {
+        control.curve.setPoints(value);
+      }
     });
 
     // Clear flag
     this.isUpdatingControls = false;
+
+    this.updateDependentControls();
+    this.refreshRingAngles();
   }
 
-  updateCutButtonStates() {
-    // Update which buttons show as "has-cut" based on sketch's cuts array
-    if (!this.sketch || !this.sketch.getCutIndices) return;
+  /**
+   * Disables (grays out) controls whose `enabledWhen` condition doesn't hold
+   * for the edited cut
+   */
+  updateDependentControls() {
+    Object.keys(this.controls).forEach((paramKey) => {
+      const enabledWhen = GUI_CONFIG[paramKey]?.enabledWhen;
+      if (!enabledWhen) return;
 
-    const cutIndices = this.sketch.getCutIndices();
-    this.cutButtons.forEach((btn, idx) => {
-      if (cutIndices.includes(idx)) {
-        btn.classList.add("has-cut");
-      } else {
-        btn.classList.remove("has-cut");
-      }
+      const enabled = Object.keys(enabledWhen).every((key) =>
+        enabledWhen[key].includes(this.parameters[key])
+      );
+      const control = this.controls[paramKey];
+      [
+        control.slider,
+        control.input,
+        control.select,
+        control.text,
+        control.color,
+      ].forEach((element) => {
+        if (!element) return;
+        element.disabled = !enabled;
+        element.style.opacity = enabled ? "1" : "0.4";
+      });
+      if (control.curve) control.curve.setEnabled(enabled);
     });
   }
 
@@ -411,6 +849,62 @@ class GUIController {
     reader.readAsDataURL(file);
   }
 
+  handleFillImageUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      if (this.sketch && this.sketch.onFillImageLoaded) {
+        this.sketch.onFillImageLoaded(e.target.result);
+      }
+    };
+    reader.readAsDataURL(file);
+  }
+
+  removeFillImage() {
+    if (this.sketch && this.sketch.removeFillImage) {
+      this.sketch.removeFillImage();
+    } else {
+      console.warn("No fill image removal function available");
+    }
+  }
+
+  /**
+   * Reflects whether a fill image is loaded in the upload controls
+   */
+  setHasFillImage(hasFillImage) {
+    if (this.removeFillImageBtn) {
+      this.removeFillImageBtn.disabled = !hasFillImage;
+    }
+    if (!hasFillImage && this.fillImageInput) {
+      this.fillImageInput.value = "";
+    }
+  }
+
+  handleProjectUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      if (!this.sketch || !this.sketch.openProject) {
+        console.warn("No project open function available");
+        return;
+      }
+      try {
+        await this.sketch.openProject(e.target.result);
+      } catch (error) {
+        console.error("Could not open project:", error);
+        window.alert(`Could not open project: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+
+    // Allow the same file to be opened again
+    event.target.value = "";
+  }
+
   onParameterChange(paramName, value) {
     if (this.isUpdatingControls) {
       return;
@@ -423,7 +917,7 @@ class GUIController {
       this.parameters[paramName] = value; // Also update combined view
     } else {
       // Per-cut parameter - update current cut's storage
-      this.cutParametersMap[this.currentCutIndex][paramName] = value;
+      this.getEditedCutParameters()[paramName] = value;
       this.parameters[paramName] = value; // Also update combined view
     }
 
@@ -431,14 +925,149 @@ class GUIController {
     if (this.sketch && this.sketch.onParameterChange) {
       this.sketch.onParameterChange(paramName, value, this.parameters);
     }
+
+    this.refreshRingAngles();
   }
 
-  saveImage() {
+  async saveImage() {
     // Call sketch's save function if available
-    if (this.sketch && this.sketch.saveCanvas) {
-      this.sketch.saveCanvas();
-    } else {
+    if (!this.sketch || !this.sketch.saveCanvas) {
       console.warn("No save function available");
+      return;
+    }
+
+    const settings = { ...this.exportSettings };
+    await this.runExport(this.saveBtn, (onProgress) =>
+      this.sketch.saveCanvas(settings, onProgress)
+    );
+  }
+
+  /**
+   * Offers autosaved sessions for restoring, most recent first
+   * @param {Array<object>} sessions - Records from the session store
+   */
+  showRecentSessions(sessions) {
+    this.recentSessions = sessions;
+    if (!this.sessionsSection || !this.sessionsList || sessions.length === 0) {
+      return;
+    }
+
+    this.sessionsList.innerHTML = "";
+    sessions.forEach((session) => {
+      const button = document.createElement("button");
+      button.className = "session-item";
+
+      const thumbnail = document.createElement("img");
+      thumbnail.src = session.thumbnail;
+      thumbnail.alt = "";
+
+      const label = document.createElement("span");
+      label.textContent = new Date(session.updatedAt).toLocaleString();
+
+      button.append(thumbnail, label);
+      button.addEventListener("click", () => this.restoreSession(session.id));
+      this.sessionsList.appendChild(button);
+    });
+
+    this.sessionsSection.classList.remove("hidden");
+  }
+
+  hideRecentSessions() {
+    if (this.sessionsSection) {
+      this.sessionsSection.classList.add("hidden");
+    }
+  }
+
+  async restoreSession(sessionId) {
+    if (!this.sketch || !this.sketch.restoreSession) {
+      console.warn("No session restore function available");
+      return;
+    }
+
+    try {
+      await this.sketch.restoreSession(sessionId);
+      this.hideRecentSessions();
+    } catch (error) {
+      console.error("Could not restore session:", error);
+      window.alert(`Could not restore session: ${error.message}`);
+    }
+  }
+
+  undo() {
+    if (this.sketch && this.sketch.undo) {
+      this.sketch.undo();
+    }
+  }
+
+  redo() {
+    if (this.sketch && this.sketch.redo) {
+      this.sketch.redo();
+    }
+  }
+
+  updateHistoryButtons(canUndo, canRedo) {
+    if (this.undoBtn) this.undoBtn.disabled = !canUndo;
+    if (this.redoBtn) this.redoBtn.disabled = !canRedo;
+  }
+
+  saveProject() {
+    // Call sketch's project save function if available
+    if (this.sketch && this.sketch.saveProject) {
+      this.sketch.saveProject();
+    } else {
+      console.warn("No project save function available");
+    }
+  }
+
+  async exportVideo() {
+    // Call sketch's video export function if available
+    if (!this.sketch || !this.sketch.exportVideo) {
+      console.warn("No video export function available");
+      return;
+    }
+
+    const settings = { ...this.exportSettings };
+    await this.runExport(this.exportVideoBtn, (onProgress) =>
+      this.sketch.exportVideo(settings, onProgress)
+    );
+  }
+
+  async exportAnimation(format, button) {
+    // Call sketch's animation export function if available
+    if (!this.sketch || !this.sketch.exportAnimation) {
+      console.warn("No animation export function available");
+      return;
+    }
+
+    const settings = { ...this.exportSettings };
+    await this.runExport(button, (onProgress) =>
+      this.sketch.exportAnimation(format, settings, onProgress)
+    );
+  }
+
+  /**
+   * Runs an export while showing its progress on the button that started it
+   */
+  async runExport(button, exportFn) {
+    if (button && button.disabled) return;
+
+    const label = button ? button.textContent : "";
+    if (button) button.disabled = true;
+
+    try {
+      await exportFn((progress) => {
+        if (button) {
+          button.textContent = `Exporting… ${Math.round(progress * 100)}%`;
+        }
+      });
+    } catch (error) {
+      console.error("Export failed:", error);
+      window.alert(`Export failed: ${error.message}`);
+    } finally {
+      if (button) {
+        button.textContent = label;
+        button.disabled = false;
+      }
     }
   }
 
@@ -543,13 +1172,13 @@ class GUIController {
 
     this.parameters[paramKey] = value;
 
-    // If numeric control with input
-    if (control.input) {
-      control.slider.value = value;
-      control.input.value = value;
-    } else {
+    if (control.slider.type === "checkbox") {
       // boolean checkbox
       control.slider.checked = !!value;
+    } else {
+      // numeric control, with or without a number input
+      control.slider.value = value;
+      if (control.input) control.input.value = value;
     }
 
     // Notify sketch
@@ -579,6 +1208,7 @@ class GUIController {
   // Method to connect the sketch instance
   connectSketch(sketch) {
     this.sketch = sketch;
+    this.refreshCutList();
   }
 
   /**
@@ -587,22 +1217,17 @@ class GUIController {
    */
   getPerCutParameterState() {
     console.log("=== PER-CUT PARAMETER STATE ===");
-    console.log("Current Cut Index:", this.currentCutIndex);
+    console.log("Current Cut Id:", this.currentCutId);
     console.log("Current Parameters:", { ...this.parameters });
     console.log("\nAll Cut Parameters:");
-    for (let i = 0; i < 6; i++) {
-      console.log(`  Slot ${i}:`, { ...this.cutParametersMap[i] });
-    }
+    Object.keys(this.cutParametersMap).forEach((cutId) => {
+      console.log(`  Cut ${cutId}:`, { ...this.cutParametersMap[cutId] });
+    });
     console.log("================================\n");
     return {
-      currentCutIndex: this.currentCutIndex,
+      currentCutId: this.currentCutId,
       currentParameters: { ...this.parameters },
-      allCutParameters: Object.fromEntries(
-        Array.from({ length: 6 }, (_, i) => [
-          i,
-          { ...this.cutParametersMap[i] },
-        ])
-      ),
+      allCutParameters: JSON.parse(JSON.stringify(this.cutParametersMap)),
     };
   }
 
@@ -610,9 +1235,9 @@ class GUIController {
    * DEBUG: Verify a specific parameter is different between cuts
    */
   verifyParameterIndependence(paramName) {
-    const values = Array.from({ length: 6 }, (_, i) => ({
-      slot: i,
-      value: this.cutParametersMap[i]?.[paramName],
+    const values = Object.keys(this.cutParametersMap).map((cutId) => ({
+      cutId,
+      value: this.cutParametersMap[cutId][paramName],
     }));
     console.log(`Parameter "${paramName}" values across cuts:`, values);
     return values;
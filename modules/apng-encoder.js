@@ -0,0 +1,128 @@
+/**
+ * APNG Encoder Module
+ * Assembles browser-encoded PNG frames into a looping animated PNG
+ */
+
+import { Utils } from "./utils.js";
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Splits a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Array<{type: string, data: Uint8Array}>}
+ */
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(
+    data.length + 8,
+    Utils.crc32(chunk.subarray(4, data.length + 8))
+  );
+  return chunk;
+}
+
+export class APNGEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.header = null;
+    this.ancillaryChunks = [];
+    this.frames = [];
+  }
+
+  /**
+   * Appends a frame from PNG file bytes (e.g. from canvas.toBlob)
+   * @param {Uint8Array} pngBytes - A complete PNG file of width × height
+   * @param {number} delay - Frame delay in milliseconds
+   */
+  addFrame(pngBytes, delay) {
+    const chunks = readChunks(pngBytes);
+    if (!this.header) {
+      this.header = chunks.find((chunk) => chunk.type === "IHDR").data;
+      // Color space chunks that precede the image data apply to every frame
+      const firstData = chunks.findIndex((chunk) => chunk.type === "IDAT");
+      this.ancillaryChunks = chunks
+        .slice(0, firstData)
+        .filter((chunk) => chunk.type !== "IHDR");
+    }
+    this.frames.push({
+      delay,
+      data: chunks
+        .filter((chunk) => chunk.type === "IDAT")
+        .map((chunk) => chunk.data),
+    });
+  }
+
+  /**
+   * Writes the animation, looping forever
+   * @returns {Blob}
+   */
+  finish() {
+    const parts = [PNG_SIGNATURE, createChunk("IHDR", this.header)];
+
+    const actl = new Uint8Array(8);
+    const actlView = new DataView(actl.buffer);
+    actlView.setUint32(0, this.frames.length);
+    actlView.setUint32(4, 0); // Number of plays: 0 = infinite
+    parts.push(createChunk("acTL", actl));
+    this.ancillaryChunks.forEach((chunk) =>
+      parts.push(createChunk(chunk.type, chunk.data))
+    );
+
+    let sequence = 0;
+    this.frames.forEach((frame, index) => {
+      const fctl = new Uint8Array(26);
+      const fctlView = new DataView(fctl.buffer);
+      fctlView.setUint32(0, sequence++);
+      fctlView.setUint32(4, this.width);
+      fctlView.setUint32(8, this.height);
+      fctlView.setUint32(12, 0);
+      fctlView.setUint32(16, 0);
+      fctlView.setUint16(20, Math.round(frame.delay));
+      fctlView.setUint16(22, 1000);
+      fctl[24] = 0; // Dispose: none
+      fctl[25] = 0; // Blend: source
+      parts.push(createChunk("fcTL", fctl));
+
+      frame.data.forEach((data) => {
+        if (index === 0) {
+          // The first frame doubles as the default image for non-APNG viewers
+          parts.push(createChunk("IDAT", data));
+        } else {
+          const fdat = new Uint8Array(data.length + 4);
+          new DataView(fdat.buffer).setUint32(0, sequence++);
+          fdat.set(data, 4);
+          parts.push(createChunk("fdAT", fdat));
+        }
+      });
+    });
+
+    parts.push(createChunk("IEND", new Uint8Array(0)));
+    return new Blob(parts, { type: "image/apng" });
+  }
+}
@@ -3,105 +3,160 @@
  * Handles caching of inactive cut renderings for performance optimization
  */
 
+// Parameters that change how a cut renders. All are per cut except
+// lightAngle, which is global.
+const RENDER_PARAMETER_KEYS = [
+  "ringDistribution",
+  "ringRadii",
+  "rotationAmount",
+  "rotationSpeed",
+  "animated",
+  "rotationMethod",
+  "waveFrequency",
+  "wavePhase",
+  "noiseSeed",
+  "rotationCurve",
+  "ringAngleOverrides",
+  "ringBorderWidth",
+  "ringBorderColor",
+  "ringGap",
+  "ringGapFill",
+  "ringGapColor",
+  "ringShadow",
+  "shadowDistance",
+  "shadowBlur",
+  "shadowOpacity",
+  "shadowColor",
+  "ringBevel",
+  "bevelSize",
+  "bevelOpacity",
+  "ringHueShift",
+  "ringGrayscale",
+  "ringInvertEvery",
+  "ringTintOpacity",
+  "ringTintColor",
+  "ringTintRings",
+  "cutBlendMode",
+  "cutOpacity",
+  "lightAngle",
+  "cutType",
+  "sectorCount",
+  "sectorRotation",
+  "sectorShift",
+  "stripAngle",
+  "stripWidth",
+  "spiralType",
+  "spiralTurns",
+  "spiralSmooth",
+  "cutShape",
+  "polygonSides",
+  "ellipseAspect",
+  "ellipseTilt",
+  "sampleComposite",
+  "ringSource",
+  "sourceOffsetX",
+  "sourceOffsetY",
+  "sourceScale",
+  "edgePolicy",
+  "edgeColor",
+];
+
 export class CacheManager {
   constructor() {
-    this.cutCaches = [null, null, null, null, null, null];
-    this.cutCacheParams = [null, null, null, null, null, null];
-    this.previousActiveCutSlot = null;
+    // Both keyed by cut id
+    this.cutCaches = new Map();
+    this.cutCacheParams = new Map();
+    this.previousActiveCutId = null;
   }
 
   /**
    * Checks if a cache needs to be updated based on parameter changes
    */
-  needsCacheUpdate(slotIndex, cacheKey) {
+  needsCacheUpdate(cutId, cacheKey) {
     return (
-      !this.cutCaches[slotIndex] ||
-      !this.cutCacheParams[slotIndex] ||
-      JSON.stringify(this.cutCacheParams[slotIndex]) !==
+      !this.cutCaches.has(cutId) ||
+      !this.cutCacheParams.has(cutId) ||
+      JSON.stringify(this.cutCacheParams.get(cutId)) !==
         JSON.stringify(cacheKey)
     );
   }
 
   /**
-   * Updates cache parameters for a specific slot
+   * Updates cache parameters for a specific cut
    */
-  updateCacheParams(slotIndex, cacheKey) {
-    this.cutCacheParams[slotIndex] = cacheKey;
+  updateCacheParams(cutId, cacheKey) {
+    this.cutCacheParams.set(cutId, cacheKey);
   }
 
   /**
-   * Creates a cache key from cut parameters
+   * Creates a cache key from a cut's placement and render parameters
+   * @param {object} placement - { centerX, centerY, cutSize, sliceAmount } in canvas space
+   * @param {object} cutParams - The cut's parameters
+   * @param {Array<number>|null} layersBelow - Ids of the cuts beneath, for cuts
+   * that sample the composite
    */
-  createCacheKey(
-    centerX,
-    centerY,
-    maxDiameter,
-    sliceAmount,
-    cutSize,
-    rotationAmount,
-    rotationSpeed,
-    animated,
-    rotationMethod
-  ) {
-    return {
-      centerX,
-      centerY,
-      maxDiameter,
-      cutSliceAmount: sliceAmount,
-      cutSize,
-      rotationAmount,
-      rotationSpeed,
-      animated,
-      rotationMethod,
+  createCacheKey(placement, cutParams, layersBelow = null) {
+    const key = {
+      centerX: placement.centerX,
+      centerY: placement.centerY,
+      cutSize: placement.cutSize,
+      cutSliceAmount: placement.sliceAmount,
+      layersBelow,
     };
+    RENDER_PARAMETER_KEYS.forEach((param) => {
+      key[param] = cutParams[param];
+    });
+    return key;
   }
 
   /**
-   * Invalidates cache for a specific slot
+   * Invalidates (and frees) the cache for a specific cut
    */
-  invalidateSlot(slotIndex) {
-    if (slotIndex >= 0 && slotIndex < 6) {
-      this.cutCaches[slotIndex] = null;
-      this.cutCacheParams[slotIndex] = null;
-    }
+  invalidateCut(cutId) {
+    const cache = this.cutCaches.get(cutId);
+    if (cache) cache.remove();
+    this.cutCaches.delete(cutId);
+    this.cutCacheParams.delete(cutId);
   }
 
   /**
    * Invalidates all caches
    */
   invalidateAll() {
-    this.cutCaches = [null, null, null, null, null, null];
-    this.cutCacheParams = [null, null, null, null, null, null];
+    Array.from(this.cutCaches.keys()).forEach((cutId) =>
+      this.invalidateCut(cutId)
+    );
+    this.cutCacheParams.clear();
   }
 
   /**
-   * Invalidates all caches except the active slot
+   * Invalidates all caches except the active cut's
    */
-  invalidateAllExcept(activeSlotIndex) {
-    for (let i = 0; i < 6; i++) {
-      if (i !== activeSlotIndex) {
-        this.invalidateSlot(i);
+  invalidateAllExcept(activeCutId) {
+    Array.from(this.cutCaches.keys()).forEach((cutId) => {
+      if (cutId !== activeCutId) {
+        this.invalidateCut(cutId);
       }
-    }
+    });
   }
 
   /**
-   * Checks if the active slot has changed and invalidates its cache if needed
+   * Checks if the active cut has changed and invalidates its cache if needed
    */
-  handleActiveCutSlotChange(currentActiveSlot) {
-    if (currentActiveSlot !== this.previousActiveCutSlot) {
-      this.invalidateSlot(currentActiveSlot);
-      this.previousActiveCutSlot = currentActiveSlot;
+  handleActiveCutChange(currentActiveCutId) {
+    if (currentActiveCutId !== this.previousActiveCutId) {
+      this.invalidateCut(currentActiveCutId);
+      this.previousActiveCutId = currentActiveCutId;
       return true;
     }
     return false;
   }
 
   /**
-   * Gets the cached graphics for a slot
+   * Gets the cached graphics for a cut
    */
-  getCache(slotIndex) {
-    return this.cutCaches[slotIndex];
+  getCache(cutId) {
+    return this.cutCaches.get(cutId);
   }
 
   /**
@@ -116,6 +171,6 @@ export class CacheManager {
    */
   reset() {
     this.invalidateAll();
-    this.previousActiveCutSlot = null;
+    this.previousActiveCutId = null;
   }
 }
@@ -53,6 +53,47 @@ export const GUI_CONFIG = {
     section: "image",
   },
 
+  // Framing of the optional fill image, which cuts can sample instead of
+  // the image (see ringSource). Works like the image position and zoom.
+  fillPosX: {
+    default: 0,
+    min: -500,
+    max: 500,
+    step: 1,
+    label: "X position",
+    section: "fill",
+  },
+
+  fillPosY: {
+    default: 0,
+    min: -500,
+    max: 500,
+    step: 1,
+    label: "Y position",
+    section: "fill",
+  },
+
+  fillZoom: {
+    default: 1.0,
+    min: 0.1,
+    max: 3.0,
+    step: 0.01,
+    label: "Zoom",
+    section: "fill",
+  },
+
+  // Direction the light comes from (degrees clockwise from the top). Shared
+  // by every cut so ring shadows and bevels stay consistent.
+  lightAngle: {
+    default: 315,
+    min: 0,
+    max: 360,
+    step: 1,
+    label: "Light angle",
+    section: "lighting",
+    numberInput: true,
+  },
+
   // Cinetisation: outer diameter of the largest ring
   cutSize: {
     default: 300,
@@ -63,7 +104,9 @@ export const GUI_CONFIG = {
     section: "cinetisation",
   },
 
-  // Cinetisation: number of divisions within the cut size
+  // Cinetisation: number of divisions within the cut size. `enabledWhen`
+  // maps other parameters to the values this one applies to; its control is
+  // disabled otherwise.
   sliceAmount: {
     default: 10,
     min: 1,
@@ -71,6 +114,33 @@ export const GUI_CONFIG = {
     step: 1,
     label: "Slice amount",
     section: "cinetisation",
+    enabledWhen: {
+      ringDistribution: ["linear", "logarithmic", "exponential", "golden"],
+    },
+  },
+
+  // How the cut is divided into rings (see ring-distribution.js)
+  ringDistribution: {
+    default: "linear",
+    type: "select",
+    options: [
+      { value: "linear", label: "Even" },
+      { value: "logarithmic", label: "Logarithmic" },
+      { value: "exponential", label: "Exponential" },
+      { value: "golden", label: "Golden ratio" },
+      { value: "custom", label: "Custom" },
+    ],
+    label: "Ring distribution",
+    section: "cinetisation",
+  },
+
+  // Custom distribution: ring radii as fractions of the cut radius
+  ringRadii: {
+    default: "1, 0.8, 0.6, 0.45, 0.3, 0.2",
+    type: "text",
+    label: "Ring radii",
+    section: "cinetisation",
+    enabledWhen: { ringDistribution: ["custom"] },
   },
 
   // Rotation amount (degrees)
@@ -81,20 +151,557 @@ export const GUI_CONFIG = {
     step: 1,
     label: "Rotation amount",
     section: "cinetisation",
+    enabledWhen: {
+      rotationMethod: [
+        "incremental",
+        "wave",
+        "sawtooth",
+        "triangle",
+        "alternating",
+        "noise",
+        "eased",
+        "spiral",
+      ],
+    },
   },
 
-  // Rotation method: "incremental" or "wave"
+  // Rotation method: how the rotation is spread across the rings
+  // (see RenderEngine._calculateRotation)
   rotationMethod: {
     default: "incremental",
     type: "select",
     options: [
       { value: "incremental", label: "Swirl" },
       { value: "wave", label: "Ripple" },
+      { value: "sawtooth", label: "Sawtooth" },
+      { value: "triangle", label: "Triangle" },
+      { value: "alternating", label: "Alternating" },
+      { value: "noise", label: "Noise" },
+      { value: "eased", label: "Eased" },
+      { value: "spiral", label: "Spiral" },
+      { value: "curve", label: "Custom curve" },
     ],
     label: "Rotation method",
     section: "cinetisation",
   },
 
+  // Custom curve: rotation (degrees) across the rings, outer to inner
+  // (see rotation-curve.js)
+  rotationCurve: {
+    default: [
+      { x: 0, y: 0 },
+      { x: 1, y: 45 },
+    ],
+    type: "curve",
+    label: "Rotation curve",
+    section: "cinetisation",
+    enabledWhen: { rotationMethod: ["curve"] },
+  },
+
+  // Ripple, sawtooth and triangle: cycles of the profile across the rings
+  waveFrequency: {
+    default: 3,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    label: "Wave frequency",
+    section: "cinetisation",
+    enabledWhen: { rotationMethod: ["wave", "sawtooth", "triangle"] },
+  },
+
+  // Ripple, sawtooth and triangle: starting point of the profile (degrees)
+  wavePhase: {
+    default: 0,
+    min: 0,
+    max: 360,
+    step: 1,
+    label: "Wave phase",
+    section: "cinetisation",
+    enabledWhen: { rotationMethod: ["wave", "sawtooth", "triangle"] },
+  },
+
+  // Noise: picks the random pattern of ring offsets
+  noiseSeed: {
+    default: 1,
+    min: 0,
+    max: 999,
+    step: 1,
+    label: "Noise seed",
+    section: "cinetisation",
+    numberInput: true,
+    enabledWhen: { rotationMethod: ["noise"] },
+  },
+
+  // How a cut is divided: concentric rings, rings further split into
+  // sectors that turn and move apart independently, parallel strips that
+  // slide along their length (one strip per slice), or a spiral band whose
+  // turn follows the distance along it
+  cutType: {
+    default: "rings",
+    type: "select",
+    options: [
+      { value: "rings", label: "Rings" },
+      { value: "sectors", label: "Ring sectors" },
+      { value: "strips", label: "Linear strips" },
+      { value: "spiral", label: "Spiral" },
+    ],
+    label: "Cut type",
+    section: "cinetisation",
+  },
+
+  // Sector cuts: number of equal wedges every ring is split into
+  sectorCount: {
+    default: 6,
+    min: 2,
+    max: 24,
+    step: 1,
+    label: "Sectors",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["sectors"] },
+  },
+
+  // Sector cuts: how each sector's turn relates to its ring's
+  sectorRotation: {
+    default: "alternate",
+    type: "select",
+    options: [
+      { value: "same", label: "All alike" },
+      { value: "alternate", label: "Alternate directions" },
+      { value: "cascade", label: "Increasing around the ring" },
+    ],
+    label: "Sector rotation",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["sectors"] },
+  },
+
+  // Sector cuts: distance every sector moves out from the center (canvas
+  // pixels)
+  sectorShift: {
+    default: 0,
+    min: 0,
+    max: 100,
+    step: 1,
+    label: "Sector shift",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["sectors"] },
+  },
+
+  // Strip cuts: direction the strips run (degrees clockwise from
+  // horizontal)
+  stripAngle: {
+    default: 0,
+    min: -90,
+    max: 90,
+    step: 1,
+    label: "Strip angle",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["strips"] },
+  },
+
+  // Strip cuts: width of every strip (canvas pixels). The cut size sets
+  // their length.
+  stripWidth: {
+    default: 30,
+    min: 2,
+    max: 200,
+    step: 1,
+    label: "Strip width",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["strips"] },
+  },
+
+  // Spiral cuts: how the spiral widens, evenly (Archimedean) or by the same
+  // ratio every turn (logarithmic)
+  spiralType: {
+    default: "archimedean",
+    type: "select",
+    options: [
+      { value: "archimedean", label: "Archimedean" },
+      { value: "logarithmic", label: "Logarithmic" },
+    ],
+    label: "Spiral type",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["spiral"] },
+  },
+
+  // Spiral cuts: number of turns from the center to the edge
+  spiralTurns: {
+    default: 3,
+    min: 0.5,
+    max: 12,
+    step: 0.5,
+    label: "Spiral turns",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["spiral"] },
+  },
+
+  // Spiral cuts: turn smoothly along the spiral, or in one step per slice
+  spiralSmooth: {
+    default: true,
+    type: "boolean",
+    label: "Smooth spiral",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["spiral"] },
+  },
+
+  // Outline every ring of the cut is clipped to
+  cutShape: {
+    default: "circle",
+    type: "select",
+    options: [
+      { value: "circle", label: "Circle" },
+      { value: "square", label: "Square" },
+      { value: "polygon", label: "Polygon" },
+      { value: "ellipse", label: "Ellipse" },
+    ],
+    label: "Cut shape",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["rings", "sectors"] },
+  },
+
+  // Polygon cuts: number of sides
+  polygonSides: {
+    default: 6,
+    min: 3,
+    max: 12,
+    step: 1,
+    label: "Polygon sides",
+    section: "cinetisation",
+    enabledWhen: { cutShape: ["polygon"] },
+  },
+
+  // Ellipse cuts: height as a fraction of width
+  ellipseAspect: {
+    default: 0.6,
+    min: 0.1,
+    max: 1,
+    step: 0.05,
+    label: "Ellipse aspect",
+    section: "cinetisation",
+    enabledWhen: { cutShape: ["ellipse"] },
+  },
+
+  // Ellipse cuts: tilt of the long axis (degrees)
+  ellipseTilt: {
+    default: 0,
+    min: -90,
+    max: 90,
+    step: 1,
+    label: "Ellipse tilt",
+    section: "cinetisation",
+    enabledWhen: { cutShape: ["ellipse"] },
+  },
+
+  // Stroke on every ring edge (canvas pixels; 0 for none)
+  ringBorderWidth: {
+    default: 0,
+    min: 0,
+    max: 20,
+    step: 0.5,
+    label: "Ring border",
+    section: "cinetisation",
+  },
+
+  ringBorderColor: {
+    default: "#ffffff",
+    type: "color",
+    label: "Border color",
+    section: "cinetisation",
+  },
+
+  // Space left between neighbouring rings (canvas pixels)
+  ringGap: {
+    default: 0,
+    min: 0,
+    max: 20,
+    step: 0.5,
+    label: "Ring gap",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["rings", "sectors"] },
+  },
+
+  // What shows in the gaps: the untouched image, or a flat color
+  ringGapFill: {
+    default: "transparent",
+    type: "select",
+    options: [
+      { value: "transparent", label: "Transparent" },
+      { value: "color", label: "Color" },
+    ],
+    label: "Gap fill",
+    section: "cinetisation",
+  },
+
+  ringGapColor: {
+    default: "#000000",
+    type: "color",
+    label: "Gap color",
+    section: "cinetisation",
+    enabledWhen: { ringGapFill: ["color"] },
+  },
+
+  // Drop shadow each ring casts onto the one beneath it
+  ringShadow: {
+    default: false,
+    type: "boolean",
+    label: "Ring shadows",
+    section: "cinetisation",
+  },
+
+  // Shadow offset away from the light (canvas pixels)
+  shadowDistance: {
+    default: 4,
+    min: 0,
+    max: 30,
+    step: 0.5,
+    label: "Shadow offset",
+    section: "cinetisation",
+    enabledWhen: { ringShadow: [true] },
+  },
+
+  shadowBlur: {
+    default: 8,
+    min: 0,
+    max: 40,
+    step: 1,
+    label: "Shadow blur",
+    section: "cinetisation",
+    enabledWhen: { ringShadow: [true] },
+  },
+
+  shadowOpacity: {
+    default: 0.5,
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "Shadow opacity",
+    section: "cinetisation",
+    enabledWhen: { ringShadow: [true] },
+  },
+
+  shadowColor: {
+    default: "#000000",
+    type: "color",
+    label: "Shadow color",
+    section: "cinetisation",
+    enabledWhen: { ringShadow: [true] },
+  },
+
+  // Inner bevel: a highlight on each ring's lit edge and shade on the other
+  ringBevel: {
+    default: false,
+    type: "boolean",
+    label: "Inner bevel",
+    section: "cinetisation",
+    enabledWhen: { cutType: ["rings", "sectors"] },
+  },
+
+  bevelSize: {
+    default: 3,
+    min: 1,
+    max: 20,
+    step: 0.5,
+    label: "Bevel size",
+    section: "cinetisation",
+    enabledWhen: { ringBevel: [true] },
+  },
+
+  bevelOpacity: {
+    default: 0.4,
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "Bevel opacity",
+    section: "cinetisation",
+    enabledWhen: { ringBevel: [true] },
+  },
+
+  // Color treatments of the ring contents. Hue rotation grows by this much
+  // (degrees) from each ring to the next, inwards.
+  ringHueShift: {
+    default: 0,
+    min: -180,
+    max: 180,
+    step: 1,
+    label: "Hue shift per ring",
+    section: "cinetisation",
+  },
+
+  ringGrayscale: {
+    default: "none",
+    type: "select",
+    options: [
+      { value: "none", label: "Off" },
+      { value: "alternate", label: "Alternate rings" },
+      { value: "all", label: "All rings" },
+    ],
+    label: "Grayscale",
+    section: "cinetisation",
+  },
+
+  // Inverts every Nth ring (0 for none)
+  ringInvertEvery: {
+    default: 0,
+    min: 0,
+    max: 10,
+    step: 1,
+    label: "Invert every Nth ring",
+    section: "cinetisation",
+  },
+
+  // Flat color laid over the rings (opacity 0 for none)
+  ringTintOpacity: {
+    default: 0,
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "Tint opacity",
+    section: "cinetisation",
+  },
+
+  ringTintColor: {
+    default: "#ff0000",
+    type: "color",
+    label: "Tint color",
+    section: "cinetisation",
+  },
+
+  ringTintRings: {
+    default: "all",
+    type: "select",
+    options: [
+      { value: "all", label: "All rings" },
+      { value: "alternate", label: "Alternate rings" },
+    ],
+    label: "Tinted rings",
+    section: "cinetisation",
+  },
+
+  // How the whole cut is composited over the image and the cuts beneath
+  cutBlendMode: {
+    default: "source-over",
+    type: "select",
+    options: [
+      { value: "source-over", label: "Normal" },
+      { value: "multiply", label: "Multiply" },
+      { value: "screen", label: "Screen" },
+      { value: "overlay", label: "Overlay" },
+      { value: "darken", label: "Darken" },
+      { value: "lighten", label: "Lighten" },
+      { value: "color-dodge", label: "Color dodge" },
+      { value: "color-burn", label: "Color burn" },
+      { value: "hard-light", label: "Hard light" },
+      { value: "soft-light", label: "Soft light" },
+      { value: "difference", label: "Difference" },
+      { value: "exclusion", label: "Exclusion" },
+      { value: "hue", label: "Hue" },
+      { value: "saturation", label: "Saturation" },
+      { value: "color", label: "Color" },
+      { value: "luminosity", label: "Luminosity" },
+    ],
+    label: "Blend mode",
+    section: "cinetisation",
+  },
+
+  cutOpacity: {
+    default: 1,
+    min: 0,
+    max: 1,
+    step: 0.05,
+    label: "Cut opacity",
+    section: "cinetisation",
+  },
+
+  // Fixed angles (degrees) for single rings, keyed by ring index from the
+  // outside in. Edited in the ring angle table rather than a generated
+  // control, so it has no section.
+  ringAngleOverrides: {
+    default: {},
+    type: "ringAngles",
+    label: "Ring angles",
+  },
+
+  // Sample the image with the cuts below already applied, instead of the
+  // untouched image, so cuts can be nested
+  sampleComposite: {
+    default: false,
+    type: "boolean",
+    label: "Sample cuts below",
+    section: "cinetisation",
+  },
+
+  // Picture the rings show: the image, or the fill image when one is loaded
+  ringSource: {
+    default: "image",
+    type: "select",
+    options: [
+      { value: "image", label: "Image" },
+      { value: "fill", label: "Fill image" },
+    ],
+    label: "Ring source",
+    section: "cinetisation",
+    enabledWhen: { sampleComposite: [false] },
+  },
+
+  // Where the rings sample from, relative to the cut center (canvas pixels),
+  // so a cut can show turned content from elsewhere in the image. Also set
+  // by dragging the source marker on the canvas.
+  sourceOffsetX: {
+    default: 0,
+    min: -1920,
+    max: 1920,
+    step: 1,
+    label: "Source offset X",
+    section: "cinetisation",
+    numberInput: true,
+  },
+
+  sourceOffsetY: {
+    default: 0,
+    min: -1920,
+    max: 1920,
+    step: 1,
+    label: "Source offset Y",
+    section: "cinetisation",
+    numberInput: true,
+  },
+
+  // Magnification of the sampled content: above 1 the rings show a smaller
+  // area enlarged
+  sourceScale: {
+    default: 1,
+    min: 0.25,
+    max: 4,
+    step: 0.05,
+    label: "Source scale",
+    section: "cinetisation",
+  },
+
+  // What rings sample past the edge of the image. "Keep inside" holds the
+  // cut within the image; the others let it overhang the image and canvas.
+  edgePolicy: {
+    default: "inside",
+    type: "select",
+    options: [
+      { value: "inside", label: "Keep inside" },
+      { value: "transparent", label: "Transparent" },
+      { value: "color", label: "Solid color" },
+      { value: "mirror", label: "Mirror" },
+      { value: "wrap", label: "Wrap" },
+      { value: "stretch", label: "Stretch edges" },
+    ],
+    label: "Past the edge",
+    section: "cinetisation",
+  },
+
+  edgeColor: {
+    default: "#000000",
+    type: "color",
+    label: "Edge color",
+    section: "cinetisation",
+    enabledWhen: { edgePolicy: ["color"] },
+  },
+
   // (rotationSpeed slider fully removed, speed is fixed in code)
 };
 
@@ -108,9 +715,85 @@ export const GUI_SECTIONS = {
     title: "Image",
     order: 2,
   },
+  fill: {
+    title: "Fill image",
+    order: 3,
+  },
   cinetisation: {
     title: "Cinetizations",
-    order: 3,
+    order: 4,
+  },
+  lighting: {
+    title: "Lighting",
+    order: 5,
+  },
+};
+
+// Settings for animated exports. These describe the output file, not the
+// composition, so they are kept out of the per-cut parameters.
+export const EXPORT_CONFIG = {
+  exportFrameCount: {
+    default: 60,
+    min: 2,
+    max: 600,
+    step: 1,
+    label: "Frame count",
+    numberInput: true,
+  },
+
+  // Delay between frames in milliseconds
+  exportFrameDelay: {
+    default: 40,
+    min: 20,
+    max: 1000,
+    step: 10,
+    label: "Frame delay (ms)",
+    numberInput: true,
+  },
+
+  // Output size relative to the canvas. Exports are re-rendered offscreen
+  // from the source image, so scales above 1 add real detail.
+  exportScale: {
+    default: 1,
+    min: 0.1,
+    max: 4,
+    step: 0.05,
+    label: "Output scale",
+    numberInput: true,
+  },
+
+  // Longer side of the output in pixels; overrides the scale when set
+  exportTargetSize: {
+    default: 0,
+    min: 0,
+    max: 8000,
+    step: 10,
+    label: "Target size (px, 0 = use scale)",
+    numberInput: true,
+  },
+
+  // GIF: number of colors in the shared palette
+  gifPaletteSize: {
+    default: 256,
+    min: 2,
+    max: 256,
+    step: 1,
+    label: "GIF palette size",
+    numberInput: true,
+  },
+
+  // GIF: Floyd–Steinberg dithering
+  gifDithering: {
+    default: true,
+    type: "boolean",
+    label: "GIF dithering",
+  },
+
+  // PNG sequence: add a JSON file with every cut's parameters to the ZIP
+  sequenceSidecar: {
+    default: true,
+    type: "boolean",
+    label: "Include parameters JSON",
   },
 };
 
@@ -145,6 +828,23 @@ export function clampParameter(key, value, customMin = null, customMax = null) {
   return Math.max(min, Math.min(max, numValue));
 }
 
+export function getDefaultExportSettings() {
+  const defaults = {};
+  for (const [key, config] of Object.entries(EXPORT_CONFIG)) {
+    defaults[key] = config.default;
+  }
+  return defaults;
+}
+
+export function clampExportSetting(key, value) {
+  const config = EXPORT_CONFIG[key];
+  if (!config) return value;
+
+  const numValue = parseFloat(value);
+  if (isNaN(numValue)) return config.default;
+  return Math.max(config.min, Math.min(config.max, numValue));
+}
+
 export function getCanvasPresets() {
   return [
     {
@@ -5,161 +5,157 @@
 
 export class CutManager {
   constructor() {
-    this.cutSlots = [null, null, null, null, null, null];
-    this.selectedCutSlot = 0;
-    this.cuts = [];
-    this.activeCutIndex = null;
-    this.nextCutId = 0;
+    this.cuts = []; // Draw order: later cuts are drawn on top
+    this.selectedCutId = null;
+    this.nextCutId = 1;
   }
 
-  placeCutInSlot(slotIndex, centerX, centerY) {
-    if (slotIndex < 0 || slotIndex >= 6) return false;
-
-    this.cutSlots[slotIndex] = {
-      centerX: centerX,
-      centerY: centerY,
-    };
+  /**
+   * Adds a cut on top of the others and selects it
+   * @param {number} centerX - Center in image space
+   * @param {number} centerY - Center in image space
+   * @returns {object} - The new cut
+   */
+  addCut(centerX, centerY) {
+    const id = this.nextCutId++;
+    const cut = { id, name: `Cut ${id}`, centerX, centerY };
 
-    this.selectedCutSlot = slotIndex;
-    this.updateCutsArray();
-    console.log(`Placed cut in slot ${slotIndex}`);
-    return true;
+    this.cuts.push(cut);
+    this.selectedCutId = id;
+    console.log(`Cut ${id} added at (${centerX}, ${centerY})`);
+    return cut;
   }
 
-  updateCutsArray() {
-    this.cuts = [];
-    this.cutSlots.forEach((cut, slotIndex) => {
-      if (cut !== null) {
-        this.cuts.push({
-          ...cut,
-          slotIndex: slotIndex,
-        });
-      }
-    });
-  }
+  /**
+   * Removes a cut. If it was selected, the cut below it (or else above it)
+   * becomes selected.
+   */
+  removeCut(cutId) {
+    const index = this.getCutIndex(cutId);
+    if (index === -1) return false;
+
+    this.cuts.splice(index, 1);
 
-  selectCutSlot(slotIndex) {
-    if (slotIndex >= 0 && slotIndex < 6) {
-      const wasChanged = slotIndex !== this.selectedCutSlot;
-      this.selectedCutSlot = slotIndex;
-      console.log(`Selected cut slot ${slotIndex}`);
-      return wasChanged;
+    if (this.selectedCutId === cutId) {
+      const neighbour = this.cuts[Math.max(0, index - 1)];
+      this.selectedCutId = neighbour ? neighbour.id : null;
     }
-    return false;
+    console.log(`Cut ${cutId} removed`);
+    return true;
   }
 
-  clearCutSlot(slotIndex) {
-    if (slotIndex >= 0 && slotIndex < 6) {
-      this.cutSlots[slotIndex] = null;
-      this.updateCutsArray();
-      return true;
-    }
-    return false;
+  /**
+   * Moves a cut to a new center, leaving the selection alone
+   */
+  moveCut(cutId, centerX, centerY) {
+    const cut = this.getCut(cutId);
+    if (!cut) return false;
+
+    cut.centerX = centerX;
+    cut.centerY = centerY;
+    return true;
   }
 
-  clearAllCuts() {
-    this.cutSlots = [null, null, null, null, null, null];
-    this.cuts = [];
-    this.selectedCutSlot = 0;
-    this.activeCutIndex = null;
-    console.log("All cuts cleared");
+  renameCut(cutId, name) {
+    const cut = this.getCut(cutId);
+    if (!cut) return false;
+
+    cut.name = name;
+    return true;
   }
 
-  addCut(centerX, centerY) {
-    if (this.cuts.length >= 6) {
-      console.warn("Maximum of 6 cuts reached");
-      return null;
-    }
-    const newCut = {
-      id: this.nextCutId++,
-      centerX: centerX,
-      centerY: centerY,
-    };
-    this.cuts.push(newCut);
-    this.activeCutIndex = this.cuts.length - 1;
-    console.log(`Cut added at (${centerX}, ${centerY}), ID: ${newCut.id}`);
-    return this.activeCutIndex;
-  }
-
-  removeActiveCut() {
-    if (this.activeCutIndex === null || this.cuts.length === 0) {
-      console.warn("No active cut to remove");
+  /**
+   * Moves a cut up (positive offset) or down the draw order
+   */
+  reorderCut(cutId, offset) {
+    const index = this.getCutIndex(cutId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.cuts.length) {
       return false;
     }
-    const removedCut = this.cuts[this.activeCutIndex];
-    this.cuts.splice(this.activeCutIndex, 1);
 
-    if (this.cuts.length === 0) {
-      this.activeCutIndex = null;
-    } else if (this.activeCutIndex >= this.cuts.length) {
-      this.activeCutIndex = this.cuts.length - 1;
-    }
-    console.log(`Cut removed, ID: ${removedCut.id}`);
+    const [cut] = this.cuts.splice(index, 1);
+    this.cuts.splice(target, 0, cut);
     return true;
   }
 
-  selectCut(index) {
-    if (index >= 0 && index < this.cuts.length) {
-      this.activeCutIndex = index;
-      return true;
-    }
-    return false;
+  /**
+   * Replaces every cut at once (e.g. when opening a project or undoing)
+   * @param {Array<{id: number, name: string, centerX: number, centerY: number}>} cuts
+   * @param {number|null} selectedCutId
+   */
+  restoreCuts(cuts, selectedCutId) {
+    this.cuts = cuts.map(({ id, name, centerX, centerY }) => ({
+      id,
+      name,
+      centerX,
+      centerY,
+    }));
+    this.selectedCutId = this.getCut(selectedCutId) ? selectedCutId : null;
+
+    // Never hand out an id again, so caches keyed by id stay valid
+    this.cuts.forEach((cut) => {
+      this.nextCutId = Math.max(this.nextCutId, cut.id + 1);
+    });
+    console.log("Cuts restored");
+  }
+
+  /**
+   * @param {number|null} cutId - Cut to select, or null for none
+   * @returns {boolean} - Whether the selection changed
+   */
+  selectCut(cutId) {
+    if (cutId !== null && !this.getCut(cutId)) return false;
+
+    const wasChanged = cutId !== this.selectedCutId;
+    this.selectedCutId = cutId;
+    console.log(`Selected cut ${cutId}`);
+    return wasChanged;
+  }
+
+  clearAllCuts() {
+    this.cuts = [];
+    this.selectedCutId = null;
+    console.log("All cuts cleared");
   }
 
+  /**
+   * @returns {number} - Index into getCuts() of the cut whose center is
+   * nearest to (x, y) within `tolerance`, or -1
+   */
   findNearestCut(x, y, tolerance = 20) {
+    let nearestIndex = -1;
+    let nearestDistance = tolerance;
     for (let i = 0; i < this.cuts.length; i++) {
       const dx = this.cuts[i].centerX - x;
       const dy = this.cuts[i].centerY - y;
       const distance = Math.sqrt(dx * dx + dy * dy);
-      if (distance <= tolerance) {
-        return i;
+      if (distance <= nearestDistance) {
+        nearestIndex = i;
+        nearestDistance = distance;
       }
     }
-    return -1;
-  }
-
-  getCutsInfo() {
-    if (this.cuts.length === 0) {
-      return "No cuts yet. Click on the image to add one.";
-    } else if (this.activeCutIndex === null) {
-      return `${this.cuts.length} cut${
-        this.cuts.length !== 1 ? "s" : ""
-      } placed. Click to select.`;
-    } else {
-      return `${this.cuts.length} cut${
-        this.cuts.length !== 1 ? "s" : ""
-      } placed. Cut ${this.activeCutIndex + 1} selected.`;
-    }
+    return nearestIndex;
   }
 
-  getCutIndices() {
-    const usedIndices = [];
-    this.cutSlots.forEach((cut, slotIndex) => {
-      if (cut !== null) {
-        usedIndices.push(slotIndex);
-      }
-    });
-    return usedIndices;
+  getCut(cutId) {
+    return this.cuts.find((cut) => cut.id === cutId) || null;
   }
 
-  hasActiveCut() {
-    return this.activeCutIndex !== null && this.cuts.length > 0;
+  getCutIndex(cutId) {
+    return this.cuts.findIndex((cut) => cut.id === cutId);
   }
 
   getCuts() {
     return this.cuts;
   }
 
-  getCutSlots() {
-    return this.cutSlots;
-  }
-
-  getSelectedCutSlot() {
-    return this.selectedCutSlot;
+  getSelectedCutId() {
+    return this.selectedCutId;
   }
 
-  getActiveCutIndex() {
-    return this.activeCutIndex;
+  getSelectedCut() {
+    return this.getCut(this.selectedCutId);
   }
 
   getCutCount() {
@@ -0,0 +1,312 @@
+/**
+ * Export Manager Module
+ * Renders looping animation frames and encodes them into downloadable files
+ */
+
+import { WebMWriter } from "./webm-writer.js";
+import { GIFEncoder, buildPalette, samplePixels } from "./gif-encoder.js";
+import { APNGEncoder } from "./apng-encoder.js";
+import { ZipWriter } from "./zip-writer.js";
+
+export const VIDEO_FRAME_RATE = 30;
+
+// Longest side of any export, in pixels. Larger canvases exceed browser limits.
+export const MAX_EXPORT_SIZE = 8000;
+
+// Codecs tried in order of preference: [WebCodecs codec string, Matroska codec ID]
+const VIDEO_CODECS = [
+  ["vp09.00.10.08", "V_VP9"],
+  ["vp8", "V_VP8"],
+];
+
+// GIF palettes are built from frames spread across the loop so that colors
+// stay stable from frame to frame
+const PALETTE_SAMPLE_FRAMES = 8;
+const PALETTE_SAMPLE_BUDGET = 160000;
+
+/**
+ * Resolves on the next animation frame so the page can repaint between
+ * rendered export frames
+ */
+function nextAnimationFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+function readPixels(canvas, width, height) {
+  return canvas.getContext("2d").getImageData(0, 0, width, height).data;
+}
+
+function canvasToPNGBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Could not encode frame as PNG"));
+        return;
+      }
+      blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)));
+    }, "image/png");
+  });
+}
+
+export class ExportManager {
+  constructor() {
+    this.isExporting = false;
+  }
+
+  /**
+   * Renders a single still image and encodes it as PNG
+   * @param {Function} renderImage - Renders the image, returns a canvas
+   * @returns {Promise<Blob>}
+   */
+  async exportPNG(renderImage) {
+    return this._runExclusive(async () => {
+      // Let the UI show the export state before the (possibly large) render
+      await nextAnimationFrame();
+      const bytes = await canvasToPNGBytes(renderImage());
+      return new Blob([bytes], { type: "image/png" });
+    });
+  }
+
+  /**
+   * Encodes one full animation loop as a WebM video.
+   *
+   * `renderFrame(t)` is called with the loop position t in [0, 1) and must
+   * return a canvas holding that frame. Frame N would equal frame 0, so the
+   * last frame flows straight back into the first when the video loops.
+   *
+   * @param {Function} renderFrame - Renders a loop position, returns a canvas
+   * @param {object} options
+   * @param {number} options.width - Video width (even)
+   * @param {number} options.height - Video height (even)
+   * @param {number} options.frameCount - Number of frames in one loop
+   * @param {number} [options.frameRate] - Playback frames per second
+   * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+   * @returns {Promise<Blob>}
+   */
+  async exportWebM(
+    renderFrame,
+    { width, height, frameCount, frameRate = VIDEO_FRAME_RATE, onProgress }
+  ) {
+    if (typeof VideoEncoder === "undefined") {
+      throw new Error("Video export requires a browser with WebCodecs support");
+    }
+
+    return this._runExclusive(async () => {
+      const { config, codecId } = await this._findVideoConfig(
+        width,
+        height,
+        frameRate
+      );
+
+      const writer = new WebMWriter({ width, height, codecId, frameRate });
+      let encodeError = null;
+      const encoder = new VideoEncoder({
+        output: (chunk) => writer.addChunk(chunk),
+        error: (error) => {
+          encodeError = error;
+        },
+      });
+      encoder.configure(config);
+
+      const frameDuration = 1000000 / frameRate;
+      const keyFrameInterval = frameRate * 2;
+
+      try {
+        for (let i = 0; i < frameCount; i++) {
+          const canvas = renderFrame(i / frameCount);
+          const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(i * frameDuration),
+            duration: Math.round(frameDuration),
+          });
+          encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+          frame.close();
+
+          if (encodeError) throw encodeError;
+          if (onProgress) onProgress((i + 1) / frameCount);
+
+          // Let the encoder drain and the UI repaint
+          while (encoder.encodeQueueSize > 4) {
+            await nextAnimationFrame();
+          }
+          if (i % 4 === 0) await nextAnimationFrame();
+        }
+
+        await encoder.flush();
+        if (encodeError) throw encodeError;
+      } finally {
+        if (encoder.state !== "closed") encoder.close();
+      }
+
+      return writer.finalize();
+    });
+  }
+
+  /**
+   * Encodes one animation loop as a looping GIF with a shared palette.
+   * Frames are rendered from loop positions t = i / frameCount.
+   *
+   * @param {Function} renderFrame - Renders a loop position, returns a canvas
+   * @param {object} options
+   * @param {number} options.width - Output width
+   * @param {number} options.height - Output height
+   * @param {number} options.frameCount - Number of frames in one loop
+   * @param {number} options.frameDelay - Delay between frames (ms)
+   * @param {number} options.paletteSize - Colors in the palette (2-256)
+   * @param {boolean} options.dithering - Apply error-diffusion dithering
+   * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+   * @returns {Promise<Blob>}
+   */
+  async exportGIF(
+    renderFrame,
+    {
+      width,
+      height,
+      frameCount,
+      frameDelay,
+      paletteSize,
+      dithering,
+      onProgress,
+    }
+  ) {
+    return this._runExclusive(async () => {
+      const sampleFrames = Math.min(frameCount, PALETTE_SAMPLE_FRAMES);
+      const samplesPerFrame = Math.floor(PALETTE_SAMPLE_BUDGET / sampleFrames);
+      const sampleParts = [];
+      for (let i = 0; i < sampleFrames; i++) {
+        const canvas = renderFrame(i / sampleFrames);
+        sampleParts.push(
+          samplePixels(readPixels(canvas, width, height), samplesPerFrame)
+        );
+      }
+
+      const samples = new Uint8Array(
+        sampleParts.reduce((sum, part) => sum + part.length, 0)
+      );
+      let offset = 0;
+      sampleParts.forEach((part) => {
+        samples.set(part, offset);
+        offset += part.length;
+      });
+
+      const encoder = new GIFEncoder(
+        width,
+        height,
+        buildPalette(samples, paletteSize)
+      );
+
+      for (let i = 0; i < frameCount; i++) {
+        const canvas = renderFrame(i / frameCount);
+        encoder.addFrame(
+          readPixels(canvas, width, height),
+          frameDelay,
+          dithering
+        );
+
+        if (onProgress) onProgress((i + 1) / frameCount);
+        await nextAnimationFrame();
+      }
+
+      return encoder.finish();
+    });
+  }
+
+  /**
+   * Encodes one animation loop as a looping APNG.
+   * Frames are rendered from loop positions t = i / frameCount.
+   *
+   * @param {Function} renderFrame - Renders a loop position, returns a canvas
+   * @param {object} options
+   * @param {number} options.width - Output width
+   * @param {number} options.height - Output height
+   * @param {number} options.frameCount - Number of frames in one loop
+   * @param {number} options.frameDelay - Delay between frames (ms)
+   * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+   * @returns {Promise<Blob>}
+   */
+  async exportAPNG(
+    renderFrame,
+    { width, height, frameCount, frameDelay, onProgress }
+  ) {
+    return this._runExclusive(async () => {
+      const encoder = new APNGEncoder(width, height);
+
+      for (let i = 0; i < frameCount; i++) {
+        const canvas = renderFrame(i / frameCount);
+        encoder.addFrame(await canvasToPNGBytes(canvas), frameDelay);
+
+        if (onProgress) onProgress((i + 1) / frameCount);
+      }
+
+      return encoder.finish();
+    });
+  }
+
+  /**
+   * Renders one animation loop as numbered PNGs (frame_0000.png …) in a ZIP.
+   * Frames are rendered from loop positions t = i / frameCount.
+   *
+   * @param {Function} renderFrame - Renders a loop position, returns a canvas
+   * @param {object} options
+   * @param {number} options.frameCount - Number of frames in one loop
+   * @param {object} [options.sidecar] - Written to parameters.json if given
+   * @param {Function} [options.onProgress] - Called with a 0-1 fraction
+   * @returns {Promise<Blob>}
+   */
+  async exportImageSequence(renderFrame, { frameCount, sidecar, onProgress }) {
+    return this._runExclusive(async () => {
+      const zip = new ZipWriter();
+      const digits = Math.max(4, String(frameCount - 1).length);
+
+      for (let i = 0; i < frameCount; i++) {
+        const canvas = renderFrame(i / frameCount);
+        const name = `frame_${String(i).padStart(digits, "0")}.png`;
+        zip.addFile(name, await canvasToPNGBytes(canvas));
+
+        if (onProgress) onProgress((i + 1) / frameCount);
+      }
+
+      if (sidecar) {
+        zip.addFile("parameters.json", JSON.stringify(sidecar, null, 2));
+      }
+
+      return zip.finish();
+    });
+  }
+
+  /**
+   * Finds the first WebM-compatible codec the browser can encode
+   * @private
+   */
+  async _findVideoConfig(width, height, frameRate) {
+    for (const [codec, codecId] of VIDEO_CODECS) {
+      const config = {
+        codec,
+        width,
+        height,
+        framerate: frameRate,
+        bitrate: Math.round(width * height * frameRate * 0.2),
+      };
+      const support = await VideoEncoder.isConfigSupported(config);
+      if (support.supported) {
+        return { config, codecId };
+      }
+    }
+    throw new Error("This browser cannot encode VP8 or VP9 video");
+  }
+
+  /**
+   * Prevents two exports from running at the same time
+   * @private
+   */
+  async _runExclusive(task) {
+    if (this.isExporting) {
+      throw new Error("An export is already in progress");
+    }
+    this.isExporting = true;
+    try {
+      return await task();
+    } finally {
+      this.isExporting = false;
+    }
+  }
+}
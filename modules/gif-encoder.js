@@ -0,0 +1,361 @@
+/**
+ * GIF Encoder Module
+ * Palette quantization, optional dithering and LZW encoding for animated GIFs
+ */
+
+// Lookups are cached on 15-bit colors (5 bits per channel)
+const LOOKUP_SIZE = 1 << 15;
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor(initialSize = 4096) {
+    this.bytes = new Uint8Array(initialSize);
+    this.length = 0;
+  }
+
+  writeByte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  writeBytes(values) {
+    for (let i = 0; i < values.length; i++) {
+      this.writeByte(values[i]);
+    }
+  }
+
+  writeUint16(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeString(value) {
+    for (let i = 0; i < value.length; i++) {
+      this.writeByte(value.charCodeAt(i));
+    }
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Builds a palette of at most `maxColors` colors with median cut
+ * @param {Uint8Array} samples - Packed RGB triples
+ * @param {number} maxColors - Palette size (2-256)
+ * @returns {Array<number[]>} - Array of [r, g, b]
+ */
+export function buildPalette(samples, maxColors) {
+  const count = Math.floor(samples.length / 3);
+  if (count === 0) return [[0, 0, 0]];
+
+  const boxes = [
+    createBox(
+      samples,
+      Array.from({ length: count }, (_, i) => i)
+    ),
+  ];
+
+  while (boxes.length < maxColors) {
+    let target = -1;
+    let widest = 0;
+    boxes.forEach((box, index) => {
+      if (box.indices.length > 1 && box.range > widest) {
+        widest = box.range;
+        target = index;
+      }
+    });
+    if (target === -1) break;
+
+    const box = boxes[target];
+    const channel = box.channel;
+    box.indices.sort(
+      (a, b) => samples[a * 3 + channel] - samples[b * 3 + channel]
+    );
+    const median = Math.floor(box.indices.length / 2);
+
+    boxes.splice(
+      target,
+      1,
+      createBox(samples, box.indices.slice(0, median)),
+      createBox(samples, box.indices.slice(median))
+    );
+  }
+
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    box.indices.forEach((index) => {
+      sum[0] += samples[index * 3];
+      sum[1] += samples[index * 3 + 1];
+      sum[2] += samples[index * 3 + 2];
+    });
+    return sum.map((value) => Math.round(value / box.indices.length));
+  });
+}
+
+function createBox(samples, indices) {
+  const min = [255, 255, 255];
+  const max = [0, 0, 0];
+  indices.forEach((index) => {
+    for (let c = 0; c < 3; c++) {
+      const value = samples[index * 3 + c];
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    }
+  });
+
+  const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+  const channel = ranges.indexOf(Math.max(...ranges));
+  return { indices, channel, range: ranges[channel] };
+}
+
+/**
+ * Collects a subsample of RGB values from RGBA pixel data, for palette building
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ * @param {number} maxSamples - Upper bound on collected pixels
+ * @returns {Uint8Array}
+ */
+export function samplePixels(rgba, maxSamples) {
+  const pixelCount = rgba.length / 4;
+  const stride = Math.max(1, Math.floor(pixelCount / maxSamples));
+  const samples = new Uint8Array(Math.ceil(pixelCount / stride) * 3);
+  let offset = 0;
+  for (let i = 0; i < pixelCount; i += stride) {
+    samples[offset++] = rgba[i * 4];
+    samples[offset++] = rgba[i * 4 + 1];
+    samples[offset++] = rgba[i * 4 + 2];
+  }
+  return samples.slice(0, offset);
+}
+
+export class GIFEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {Array<number[]>} palette - Global palette shared by all frames
+   */
+  constructor(width, height, palette) {
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+
+    this.colorBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+    this.lookup = new Int16Array(LOOKUP_SIZE).fill(-1);
+
+    this.out = new ByteWriter(width * height);
+    this._writeHeader();
+  }
+
+  /**
+   * Quantizes and appends one RGBA frame
+   * @param {Uint8ClampedArray} rgba - Pixel data of width × height
+   * @param {number} delay - Frame delay in milliseconds
+   * @param {boolean} dither - Apply Floyd–Steinberg error diffusion
+   */
+  addFrame(rgba, delay, dither) {
+    const indices = dither ? this._ditherPixels(rgba) : this._mapPixels(rgba);
+    const out = this.out;
+
+    // Graphic Control Extension: frame delay in hundredths of a second
+    out.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+    out.writeUint16(Math.max(2, Math.round(delay / 10)));
+    out.writeBytes([0x00, 0x00]);
+
+    // Image Descriptor (full frame, uses the global color table)
+    out.writeByte(0x2c);
+    out.writeUint16(0);
+    out.writeUint16(0);
+    out.writeUint16(this.width);
+    out.writeUint16(this.height);
+    out.writeByte(0x00);
+
+    const minCodeSize = Math.max(2, this.colorBits);
+    out.writeByte(minCodeSize);
+    const data = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out.writeByte(block.length);
+      out.writeBytes(block);
+    }
+    out.writeByte(0x00);
+  }
+
+  /**
+   * Closes the stream and returns the GIF file
+   * @returns {Blob}
+   */
+  finish() {
+    this.out.writeByte(0x3b);
+    return new Blob([this.out.toUint8Array()], { type: "image/gif" });
+  }
+
+  /**
+   * @private
+   */
+  _writeHeader() {
+    const out = this.out;
+    const tableBits = this.colorBits - 1;
+
+    out.writeString("GIF89a");
+    out.writeUint16(this.width);
+    out.writeUint16(this.height);
+    out.writeByte(0x80 | (tableBits << 4) | tableBits);
+    out.writeByte(0x00); // Background color index
+    out.writeByte(0x00); // Pixel aspect ratio
+
+    const tableSize = 1 << this.colorBits;
+    for (let i = 0; i < tableSize; i++) {
+      const color = this.palette[i] || [0, 0, 0];
+      out.writeBytes(color);
+    }
+
+    // NETSCAPE2.0 application extension: loop forever
+    out.writeBytes([0x21, 0xff, 0x0b]);
+    out.writeString("NETSCAPE2.0");
+    out.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+  }
+
+  /**
+   * Returns the palette index nearest to a color
+   * @private
+   */
+  _nearest(r, g, b) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const cached = this.lookup[key];
+    if (cached !== -1) return cached;
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < this.palette.length; i++) {
+      const color = this.palette[i];
+      const dr = color[0] - r;
+      const dg = color[1] - g;
+      const db = color[2] - b;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    this.lookup[key] = best;
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  _mapPixels(rgba) {
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = this._nearest(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+    }
+    return indices;
+  }
+
+  /**
+   * @private
+   */
+  _ditherPixels(rgba) {
+    const width = this.width;
+    const indices = new Uint8Array(width * this.height);
+    let currentError = new Float32Array((width + 2) * 3);
+    let nextError = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const e = (x + 1) * 3;
+
+        const r = clampByte(rgba[pixel * 4] + currentError[e]);
+        const g = clampByte(rgba[pixel * 4 + 1] + currentError[e + 1]);
+        const b = clampByte(rgba[pixel * 4 + 2] + currentError[e + 2]);
+
+        const index = this._nearest(r, g, b);
+        indices[pixel] = index;
+
+        const color = this.palette[index];
+        const errors = [r - color[0], g - color[1], b - color[2]];
+        for (let c = 0; c < 3; c++) {
+          currentError[e + 3 + c] += (errors[c] * 7) / 16;
+          nextError[e - 3 + c] += (errors[c] * 3) / 16;
+          nextError[e + c] += (errors[c] * 5) / 16;
+          nextError[e + 3 + c] += errors[c] / 16;
+        }
+      }
+
+      [currentError, nextError] = [nextError, currentError];
+      nextError.fill(0);
+    }
+    return indices;
+  }
+}
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Variable-length-code LZW compression as used by GIF image data
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = new ByteWriter(indices.length);
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.writeByte(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const existing = dictionary.get(key);
+
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      dictionary.set(key, nextCode++);
+    }
+    prefix = pixel;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    out.writeByte(bitBuffer & 0xff);
+  }
+
+  return out.toUint8Array();
+}
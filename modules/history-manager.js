@@ -0,0 +1,84 @@
+/**
+ * History Manager Module
+ * Undo/redo stack of composition snapshots, with coalescing of rapid edits
+ */
+
+const MAX_HISTORY = 100;
+const COALESCE_WINDOW = 800; // ms between edits that still count as one step
+
+export class HistoryManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Records one step. Consecutive steps sharing a `coalesceKey` within
+   * COALESCE_WINDOW merge into one, so a slider drag undoes in a single go.
+   * @param {string} label - Description of the step, for logging
+   * @param {object} before - Snapshot before the change
+   * @param {object} after - Snapshot after the change
+   * @param {string|null} coalesceKey - Steps with the same key may merge
+   */
+  record(label, before, after, coalesceKey = null) {
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (
+      coalesceKey &&
+      last &&
+      this.redoStack.length === 0 &&
+      last.coalesceKey === coalesceKey &&
+      now - last.time < COALESCE_WINDOW
+    ) {
+      last.after = after;
+      last.time = now;
+    } else {
+      this.undoStack.push({ label, before, after, coalesceKey, time: now });
+      if (this.undoStack.length > MAX_HISTORY) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+  }
+
+  /**
+   * @returns {object|null} - Snapshot to restore, or null if nothing to undo
+   */
+  undo() {
+    const step = this.undoStack.pop();
+    if (!step) return null;
+
+    this.redoStack.push(step);
+    console.log(`Undo: ${step.label}`);
+    return step.before;
+  }
+
+  /**
+   * @returns {object|null} - Snapshot to restore, or null if nothing to redo
+   */
+  redo() {
+    const step = this.redoStack.pop();
+    if (!step) return null;
+
+    // A redone step must not absorb the next edit
+    step.coalesceKey = null;
+    this.undoStack.push(step);
+    console.log(`Redo: ${step.label}`);
+    return step.after;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
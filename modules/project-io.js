@@ -0,0 +1,188 @@
+/**
+ * Project IO Module
+ * Serialises a full composition to versioned .cinetiser JSON and reads it back
+ */
+
+export const PROJECT_FORMAT = "cinetiser-project";
+export const PROJECT_VERSION = 2;
+export const PROJECT_EXTENSION = ".cinetiser";
+
+/**
+ * Upgrades a project from the version it is keyed by to the next one
+ */
+const MIGRATIONS = {
+  // v1 stored six fixed slots; v2 stores a list of cuts with stable ids
+  1: (project) => {
+    if (!Array.isArray(project.slots)) {
+      throw new Error("Project file has no cut slots");
+    }
+
+    const cuts = [];
+    let selectedCutId = null;
+    project.slots.forEach((slot, slotIndex) => {
+      if (!slot || !slot.cut) return;
+
+      const id = cuts.length + 1;
+      cuts.push({
+        id,
+        name: `Cut ${slotIndex + 1}`,
+        centerX: slot.cut.centerX,
+        centerY: slot.cut.centerY,
+        parameters: slot.parameters,
+      });
+      if (slotIndex === project.selectedCutSlot) selectedCutId = id;
+    });
+
+    const { slots, selectedCutSlot, ...rest } = project;
+    return { ...rest, version: 2, cuts, selectedCutId };
+  },
+};
+
+/**
+ * Image as stored in the file: embedded as a data URL, referenced by URL or,
+ * for autosaved sessions, kept apart under a key
+ */
+function serializeImage(image) {
+  if (image.key) return { source: "stored", key: image.key };
+  return image.url
+    ? { source: "reference", url: image.url }
+    : { source: "embedded", dataUrl: image.dataUrl };
+}
+
+/**
+ * Reads an image written by serializeImage
+ * @param {object} image - The image entry of the file
+ * @param {object} storedImages - Images kept apart, keyed as referenced
+ * @returns {object|null} - { dataUrl } or { url }, or null if unusable
+ */
+function parseImage(image, storedImages) {
+  if (image && image.source === "stored") {
+    // Handed back as is so the caller can tell which key it came from
+    const stored = storedImages[image.key];
+    return stored && (stored.dataUrl || stored.url) ? stored : null;
+  }
+  if (
+    image &&
+    image.source === "embedded" &&
+    typeof image.dataUrl === "string"
+  ) {
+    return { dataUrl: image.dataUrl };
+  }
+  if (image && image.source === "reference" && typeof image.url === "string") {
+    return { url: image.url };
+  }
+  return null;
+}
+
+/**
+ * Builds the project file contents
+ * @param {object} state
+ * @param {object} state.image - { dataUrl } to embed, { url } to reference or
+ *   { key } of an image kept apart (see parseProject)
+ * @param {object|null} state.fillImage - Optional fill image, like `image`
+ * @param {object} state.globalParameters - Canvas size and image framing
+ * @param {Array<object>} state.cuts - Cuts in draw order ({ id, name, centerX, centerY })
+ * @param {object} state.cutParametersMap - Per-cut parameters, keyed by cut id
+ * @param {number|null} state.selectedCutId - Cut selected in the GUI
+ * @returns {string} - JSON text
+ */
+export function serializeProject({
+  image,
+  fillImage = null,
+  globalParameters,
+  cuts,
+  cutParametersMap,
+  selectedCutId,
+}) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    image: serializeImage(image),
+    fillImage: fillImage ? serializeImage(fillImage) : null,
+    globalParameters: { ...globalParameters },
+    selectedCutId,
+    cuts: cuts.map((cut) => ({
+      id: cut.id,
+      name: cut.name,
+      centerX: cut.centerX,
+      centerY: cut.centerY,
+      parameters: { ...cutParametersMap[cut.id] },
+    })),
+  };
+
+  return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Parses and validates project file contents, migrating older versions
+ * @param {string} text - JSON text of a .cinetiser file
+ * @param {object} storedImages - Images kept apart from the file, keyed as
+ *   its "stored" image entries reference them ({ dataUrl } or { url })
+ * @returns {object} - The project, in the current version's shape
+ * @throws {Error} - If the file is not a readable project
+ */
+export function parseProject(text, storedImages = {}) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Project file is not valid JSON");
+  }
+
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error("File is not a Cinetizer project");
+  }
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new Error("Project file has no valid version");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(
+      `Project was saved by a newer version (v${project.version}) of this tool`
+    );
+  }
+
+  while (project.version < PROJECT_VERSION) {
+    project = MIGRATIONS[project.version](project);
+  }
+
+  const image = parseImage(project.image, storedImages);
+  if (!image) {
+    throw new Error("Project file has no usable image");
+  }
+
+  if (!Array.isArray(project.cuts)) {
+    throw new Error("Project file has no cut list");
+  }
+
+  // Skip malformed cuts and repeated ids rather than rejecting the file
+  const ids = new Set();
+  const cuts = project.cuts.filter((cut) => {
+    const valid =
+      cut &&
+      Number.isInteger(cut.id) &&
+      !ids.has(cut.id) &&
+      isFinite(cut.centerX) &&
+      isFinite(cut.centerY);
+    if (valid) ids.add(cut.id);
+    return valid;
+  });
+
+  return {
+    version: project.version,
+    image,
+    // Optional, and dropped rather than rejected if unreadable
+    fillImage: parseImage(project.fillImage, storedImages),
+    globalParameters: { ...(project.globalParameters || {}) },
+    selectedCutId: ids.has(project.selectedCutId)
+      ? project.selectedCutId
+      : null,
+    cuts: cuts.map((cut) => ({
+      id: cut.id,
+      name: typeof cut.name === "string" ? cut.name : `Cut ${cut.id}`,
+      centerX: Number(cut.centerX),
+      centerY: Number(cut.centerY),
+      parameters: { ...(cut.parameters || {}) },
+    })),
+  };
+}
@@ -3,10 +3,144 @@
  * Handles all cut rendering operations including active cuts and cached inactive cuts
  */
 
+import { getRingCount, getRingDiameters } from "./ring-distribution.js";
+import { sampleRotationCurve } from "./rotation-curve.js";
+
+const NOISE_SCALE = 0.37; // Noise steps per ring; off the lattice so rings differ
+const MAX_EDGE_PATCH = 2048; // Largest side of an edge-filled source on screen, in pixels
+const SPIRAL_PIECE = 20; // Canvas pixels along a smooth spiral's band that turn as one
+const MAX_SPIRAL_PIECES = 360;
+const TRACE_STEP = Math.PI / 90; // Curved outlines are traced in straight steps
+const LOG_SPIRAL_CORE = 0.04; // Where a logarithmic spiral starts, as a fraction of its radius
+
+/**
+ * Seeded 1D Perlin (gradient) noise, roughly in [-1, 1]
+ */
+function perlinNoise(x, seed) {
+  const gradient = (cell) => {
+    const h = Math.sin(cell * 127.1 + seed * 311.7) * 43758.5453;
+    return (h - Math.floor(h)) * 2 - 1;
+  };
+
+  const cell = Math.floor(x);
+  const f = x - cell;
+  const fade = f * f * f * (f * (f * 6 - 15) + 10);
+  const a = gradient(cell) * f;
+  const b = gradient(cell + 1) * (f - 1);
+  return 2 * (a + (b - a) * fade);
+}
+
+/**
+ * "#rrggbb" plus an opacity as a CSS rgba() color
+ */
+function hexToRgba(hex, alpha) {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${
+    value & 255
+  }, ${alpha})`;
+}
+
+/**
+ * CSS filter for a ring's color treatments (see the ring* parameters in
+ * config.js). Browsers without canvas filters draw the ring unchanged.
+ * @param {number} ringIndex - Ring, counted from the outside in
+ * @param {object} cutParams - The cut's parameters
+ * @returns {string}
+ */
+function getRingFilter(ringIndex, cutParams) {
+  const filters = [];
+
+  const hue = (cutParams.ringHueShift || 0) * ringIndex;
+  if (hue % 360 !== 0) filters.push(`hue-rotate(${hue}deg)`);
+
+  if (
+    cutParams.ringGrayscale === "all" ||
+    (cutParams.ringGrayscale === "alternate" && ringIndex % 2 === 1)
+  ) {
+    filters.push("grayscale(1)");
+  }
+
+  const invertEvery = Math.floor(cutParams.ringInvertEvery || 0);
+  if (invertEvery > 0 && (ringIndex + 1) % invertEvery === 0) {
+    filters.push("invert(1)");
+  }
+
+  return filters.length > 0 ? filters.join(" ") : "none";
+}
+
+/**
+ * Whether a cut would draw exactly the image underneath it: it samples the
+ * image right under it, nothing turns, no border, gap, shading or color
+ * treatment is set, and it is composited normally at full opacity
+ */
+function leavesImageUntouched(rotationAmount, cutParams) {
+  return (
+    rotationAmount === 0 &&
+    cutParams.ringSource !== "fill" &&
+    !cutParams.sourceOffsetX &&
+    !cutParams.sourceOffsetY &&
+    (cutParams.sourceScale || 1) === 1 &&
+    cutParams.rotationMethod !== "curve" &&
+    Object.keys(cutParams.ringAngleOverrides || {}).length === 0 &&
+    !(cutParams.ringBorderWidth > 0) &&
+    !(cutParams.ringGap > 0) &&
+    !cutParams.ringShadow &&
+    !cutParams.ringBevel &&
+    !(cutParams.cutType === "sectors" && cutParams.sectorShift > 0) &&
+    !cutParams.ringHueShift &&
+    (cutParams.ringGrayscale || "none") === "none" &&
+    !(cutParams.ringInvertEvery > 0) &&
+    !(cutParams.ringTintOpacity > 0) &&
+    (cutParams.cutBlendMode || "source-over") === "source-over" &&
+    (cutParams.cutOpacity === undefined || cutParams.cutOpacity >= 1)
+  );
+}
+
+/**
+ * Turn of one sector of a ring in a sector cut, from the ring's turn
+ * @param {number} ringRotation - The ring's rotation (radians)
+ * @param {number} sectorIndex - Sector, clockwise from the top
+ * @param {number} sectorCount - Sectors per ring
+ * @param {object} cutParams - The cut's parameters
+ * @returns {number} - Radians
+ */
+function getSectorRotation(ringRotation, sectorIndex, sectorCount, cutParams) {
+  switch (cutParams.sectorRotation) {
+    case "alternate":
+      return sectorIndex % 2 === 0 ? ringRotation : -ringRotation;
+    case "cascade":
+      return (ringRotation * (sectorIndex + 1)) / sectorCount;
+    default:
+      return ringRotation;
+  }
+}
+
+/**
+ * Periodic profiles for the wave-like rotation methods, in [-1, 1]
+ * @param {string} rotationMethod - "wave", "sawtooth" or "triangle"
+ * @param {number} cycle - Position along the profile, in cycles
+ */
+function periodicProfile(rotationMethod, cycle) {
+  const t = cycle - Math.floor(cycle);
+  if (rotationMethod === "sawtooth") return 2 * t - 1;
+  if (rotationMethod === "triangle") return 1 - 4 * Math.abs(t - 0.5);
+  return Math.sin(cycle * Math.PI * 2);
+}
+
 export class RenderEngine {
   constructor(p) {
     this.p = p;
-    this.buffer = null;
+    this.frameOverride = null;
+    this.edgePatch = null; // Scratch layer for _extendSource, reused
+  }
+
+  /**
+   * Pins the animation to a fixed frame instead of p.frameCount, so each cut
+   * is drawn at that frame's phase for its own rotation speed. Pass null to
+   * return to the live animation.
+   */
+  setFrameOverride(frame) {
+    this.frameOverride = frame;
   }
 
   /**
@@ -26,246 +160,1376 @@ export class RenderEngine {
     isAnimated,
     rotationProgress,
     isActiveCut,
-    cutParams
+    cutParams,
+    edgeSource = null
+  ) {
+    this._drawSlices(
+      display,
+      patternImg,
+      imgLayer,
+      centerX,
+      centerY,
+      maxDiameter,
+      sliceAmount,
+      cutSize,
+      rotationAmount,
+      rotationSpeed,
+      isAnimated,
+      rotationProgress,
+      cutParams,
+      edgeSource
+    );
+  }
+
+  /**
+   * Renders cut slices to a cached buffer (for inactive cuts)
+   */
+  renderCutSlicesToBuffer(
+    cutCaches,
+    cutId,
+    patternImg,
+    imgLayer,
+    centerX,
+    centerY,
+    maxDiameter,
+    sliceAmount,
+    cutSize,
+    rotationAmount,
+    rotationSpeed,
+    isAnimated,
+    rotationProgress,
+    cutParams,
+    edgeSource = null
+  ) {
+    // Create cache graphics if it doesn't exist
+    if (!cutCaches.has(cutId)) {
+      cutCaches.set(cutId, this.p.createGraphics(this.p.width, this.p.height));
+    }
+
+    const cachedLayer = cutCaches.get(cutId);
+    cachedLayer.clear();
+
+    this._drawSlices(
+      cachedLayer,
+      patternImg,
+      imgLayer,
+      centerX,
+      centerY,
+      maxDiameter,
+      sliceAmount,
+      cutSize,
+      rotationAmount,
+      rotationSpeed,
+      isAnimated,
+      rotationProgress,
+      cutParams,
+      edgeSource
+    );
+  }
+
+  /**
+   * Draws every ring of a cut onto `target`. Each ring is clipped straight
+   * onto the target rather than through an intermediate buffer, so the cost
+   * stays flat at any output resolution.
+   * @param {object|null} edgeSource - The picture `patternImg` was cropped
+   * from, as { image, x, y, width, height } with its drawn bounds in
+   * `imgLayer` pixels, so cuts past the canvas edges can sample it (see
+   * _extendSource). Without one `patternImg` is all there is.
+   * @private
+   */
+  _drawSlices(
+    target,
+    patternImg,
+    imgLayer,
+    centerX,
+    centerY,
+    maxDiameter,
+    sliceAmount,
+    cutSize,
+    rotationAmount,
+    rotationSpeed,
+    isAnimated,
+    rotationProgress,
+    cutParams,
+    edgeSource = null
   ) {
-    const ringThickness = cutSize / sliceAmount;
+    const ringDiameters = getRingDiameters(maxDiameter, sliceAmount, cutParams);
 
-    if (rotationAmount === 0) return;
+    if (leavesImageUntouched(rotationAmount, cutParams)) return;
 
-    for (let i = 0; i < sliceAmount; i++) {
-      const currentSize = maxDiameter - i * ringThickness;
+    // Borders, gaps, shading and the source offset are set in canvas
+    // pixels; exports render larger
+    const pixelScale = target.width / this.p.width;
 
-      const lerpedRotationAmount = rotationAmount * rotationProgress;
-      const rotationMethod = cutParams.rotationMethod || "incremental";
+    // imgLayer is laid out like the target, centered on it. The rings sample
+    // around the cut center moved by the source offset.
+    const ring = {
+      centerX,
+      centerY,
+      localCenterX:
+        centerX -
+        (target.width / 2 - imgLayer.width / 2) +
+        (cutParams.sourceOffsetX || 0) * pixelScale,
+      localCenterY:
+        centerY -
+        (target.height / 2 - imgLayer.height / 2) +
+        (cutParams.sourceOffsetY || 0) * pixelScale,
+      sourceScale: cutParams.sourceScale || 1,
+      edgeSource,
+    };
 
-      let currentRotation = this._calculateRotation(
+    const rotations = ringDiameters.map((currentSize, i) =>
+      this._calculateRotation(
         i,
-        sliceAmount,
-        lerpedRotationAmount,
+        ringDiameters.length,
+        currentSize / maxDiameter,
+        rotationAmount,
+        rotationProgress,
         rotationSpeed,
         isAnimated,
-        rotationMethod
+        cutParams
+      )
+    );
+
+    if (cutParams.cutType === "strips") {
+      this._drawStrips(
+        target,
+        patternImg,
+        ring,
+        this.getStripLayout(
+          maxDiameter,
+          ringDiameters.length,
+          cutParams,
+          pixelScale
+        ),
+        rotations,
+        cutParams,
+        pixelScale
+      );
+      return;
+    }
+
+    if (cutParams.cutType === "spiral") {
+      this._drawSpiral(
+        target,
+        patternImg,
+        ring,
+        this.getSpiralLayout(maxDiameter, ringDiameters.length, cutParams),
+        rotations,
+        cutParams,
+        pixelScale
       );
+      return;
+    }
 
-      const sw = Math.max(1, Math.ceil(currentSize));
-      const sh = Math.max(1, Math.ceil(currentSize));
+    // The widest area a ring samples covers a turned square (see _drawRing)
+    const source = this._extendSource(
+      target,
+      patternImg,
+      ring,
+      maxDiameter * Math.SQRT2,
+      cutParams
+    );
 
-      const bufferScale = 2;
-      const bufferW = Math.ceil(sw * bufferScale);
-      const bufferH = Math.ceil(sh * bufferScale);
+    const borderWidth = (cutParams.ringBorderWidth || 0) * pixelScale;
+    const sectorCount =
+      cutParams.cutType === "sectors"
+        ? Math.max(2, Math.floor(cutParams.sectorCount || 6))
+        : 0;
+    const sectorShift = (cutParams.sectorShift || 0) * pixelScale;
+    // Sector cuts draw each ring as wedges, clockwise from the top
+    const wedges = Array.from({ length: sectorCount }, (_, k) => {
+      const start = -Math.PI / 2 + (k * Math.PI * 2) / sectorCount;
+      return {
+        start,
+        end: start + (Math.PI * 2) / sectorCount,
+        shift: sectorShift,
+      };
+    });
+    // Shifted wedges are shadowed, tinted and outlined one by one;
+    // otherwise they make up the whole ring
+    const pieces = sectorShift > 0 ? wedges : [null];
+    const gap = (cutParams.ringGap || 0) * pixelScale;
+    const shading = this._getShading(target, cutParams, pixelScale);
 
-      const localCenterX = centerX - (this.p.width / 2 - imgLayer.width / 2);
-      const localCenterY = centerY - (this.p.height / 2 - imgLayer.height / 2);
+    for (let i = 0; i < ringDiameters.length; i++) {
+      const currentSize = ringDiameters[i];
 
-      const sx = Math.max(
-        0,
-        Math.min(patternImg.width - sw, localCenterX - sw / 2)
+      if (shading.shadow) {
+        // Filled with the shadow's own color, then covered by the ring
+        pieces.forEach((wedge) =>
+          this._fillRingShape(
+            target,
+            ring,
+            currentSize,
+            rotations[i],
+            cutParams,
+            {
+              fillStyle: shading.shadow.color,
+              shadow: shading.shadow,
+            },
+            wedge
+          )
+        );
+      }
+
+      if (sectorCount > 0) {
+        // Each wedge turned by its own angle
+        wedges.forEach((wedge, k) =>
+          this._drawRing(
+            target,
+            source,
+            ring,
+            currentSize,
+            rotations[i],
+            getSectorRotation(rotations[i], k, sectorCount, cutParams),
+            cutParams,
+            getRingFilter(i, cutParams),
+            wedge
+          )
+        );
+      } else {
+        this._drawRing(
+          target,
+          source,
+          ring,
+          currentSize,
+          rotations[i],
+          rotations[i],
+          cutParams,
+          getRingFilter(i, cutParams)
+        );
+      }
+
+      if (
+        cutParams.ringTintOpacity > 0 &&
+        (cutParams.ringTintRings !== "alternate" || i % 2 === 0)
+      ) {
+        pieces.forEach((wedge) =>
+          this._fillRingShape(
+            target,
+            ring,
+            currentSize,
+            rotations[i],
+            cutParams,
+            {
+              fillStyle: hexToRgba(
+                cutParams.ringTintColor || "#ff0000",
+                cutParams.ringTintOpacity
+              ),
+            },
+            wedge
+          )
+        );
+      }
+
+      if (shading.bevel) {
+        const { size, highlight, shade } = shading.bevel;
+        pieces.forEach((wedge) =>
+          [highlight, shade].forEach((bevelShadow) =>
+            this._drawInnerShadow(
+              target,
+              ring,
+              currentSize,
+              rotations[i],
+              cutParams,
+              bevelShadow,
+              size,
+              wedge
+            )
+          )
+        );
+      }
+
+      if (borderWidth > 0) {
+        pieces.forEach((wedge) =>
+          this._fillRingShape(
+            target,
+            ring,
+            currentSize,
+            rotations[i],
+            cutParams,
+            {
+              strokeStyle: cutParams.ringBorderColor || "#ffffff",
+              lineWidth: borderWidth,
+            },
+            wedge
+          )
+        );
+      }
+
+      // The gap is a band just outside the next ring's edge, drawn before
+      // that ring so the ring covers all but the band
+      const nextSize = ringDiameters[i + 1];
+      if (gap > 0 && nextSize !== undefined) {
+        const bandSize = Math.min(currentSize, nextSize + 2 * gap);
+        pieces.forEach((wedge) => {
+          if (cutParams.ringGapFill === "color") {
+            this._fillRingShape(
+              target,
+              ring,
+              bandSize,
+              rotations[i + 1],
+              cutParams,
+              {
+                fillStyle: cutParams.ringGapColor || "#000000",
+              },
+              wedge
+            );
+          } else {
+            // Transparent: the untouched image shows through
+            this._drawRing(
+              target,
+              source,
+              ring,
+              bandSize,
+              rotations[i + 1],
+              0,
+              cutParams,
+              "none",
+              wedge
+            );
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Cuts that may overhang the image (any edge policy but "inside") can
+   * sample past the edges of `patternImg`. When they do, this returns a patch
+   * covering everything the cut samples and moves `ring`'s sampling center
+   * onto it. The patch shows the whole source picture (`ring.edgeSource`),
+   * not just its part on the canvas, and fills past the picture's own edges
+   * by the cut's edge policy. Otherwise `patternImg` is returned as is and
+   * sampling clamps to it.
+   * @param {number} reach - Side of the square the cut draws from, around
+   * its center, before the source scale
+   * @private
+   */
+  _extendSource(target, patternImg, ring, reach, cutParams) {
+    const policy = cutParams.edgePolicy || "inside";
+    if (policy === "inside") return patternImg;
+
+    const size = Math.ceil(reach / ring.sourceScale) + 2;
+    const left = Math.floor(ring.localCenterX - size / 2);
+    const top = Math.floor(ring.localCenterY - size / 2);
+    if (
+      left >= 0 &&
+      top >= 0 &&
+      left + size <= patternImg.width &&
+      top + size <= patternImg.height
+    ) {
+      return patternImg;
+    }
+
+    const { image, x, y, width, height } = ring.edgeSource || {
+      image: patternImg,
+      x: 0,
+      y: 0,
+      width: patternImg.width,
+      height: patternImg.height,
+    };
+
+    // The patch needs no more detail than the cut shows on the target,
+    // where it is drawn at the source scale. At canvas size very large areas
+    // are filled at a lower resolution; scaled exports keep full detail.
+    let scale = Math.min(1, ring.sourceScale);
+    if (target.width === this.p.width) {
+      scale = Math.min(scale, MAX_EDGE_PATCH / size);
+    }
+    const patchSize = Math.ceil(size * scale);
+    const density = target.pixelDensity();
+    if (
+      !this.edgePatch ||
+      this.edgePatch.width < patchSize ||
+      this.edgePatch.height < patchSize ||
+      this.edgePatch.pixelDensity() !== density
+    ) {
+      if (this.edgePatch) this.edgePatch.remove();
+      this.edgePatch = this.p.createGraphics(patchSize, patchSize);
+      this.edgePatch.pixelDensity(density);
+    }
+
+    const patch = this.edgePatch;
+    patch.clear();
+    patch.push();
+    patch.imageMode(patch.CORNER);
+    patch.scale(scale);
+    patch.translate(-left, -top);
+
+    if (policy === "color") {
+      patch.noStroke();
+      patch.fill(cutParams.edgeColor || "#000000");
+      patch.rect(left, top, size, size);
+    }
+
+    if (policy === "wrap" || policy === "mirror") {
+      // Copies of the picture tiled over the area; mirrored copies flip on
+      // every other column and row so neighbouring edges meet
+      const firstColumn = Math.floor((left - x) / width);
+      const lastColumn = Math.floor((left + size - x) / width);
+      const firstRow = Math.floor((top - y) / height);
+      const lastRow = Math.floor((top + size - y) / height);
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        for (let row = firstRow; row <= lastRow; row++) {
+          const flipX = policy === "mirror" && Math.abs(column) % 2 === 1;
+          const flipY = policy === "mirror" && Math.abs(row) % 2 === 1;
+          patch.push();
+          patch.translate(
+            x + (column + (flipX ? 1 : 0)) * width,
+            y + (row + (flipY ? 1 : 0)) * height
+          );
+          patch.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+          patch.image(image, 0, 0, width, height);
+          patch.pop();
+        }
+      }
+    } else if (policy === "stretch") {
+      // The picture's outermost rows and columns drawn out to the patch
+      // edges: each axis splits into the span before the picture, the
+      // picture and the span after it. Spans are measured from the
+      // picture's drawn edge; `src` is in the picture's own pixels.
+      const spans = (start, length, extent, pixels) => [
+        { dest: start, length: Math.max(0, -start), src: 0, srcLength: 1 },
+        { dest: 0, length: extent, src: 0, srcLength: pixels },
+        {
+          dest: extent,
+          length: Math.max(0, start + length - extent),
+          src: pixels - 1,
+          srcLength: 1,
+        },
+      ];
+      spans(left - x, size, width, image.width).forEach((column) =>
+        spans(top - y, size, height, image.height).forEach((row) => {
+          if (column.length <= 0 || row.length <= 0) return;
+          patch.image(
+            image,
+            x + column.dest,
+            y + row.dest,
+            column.length,
+            row.length,
+            column.src,
+            row.src,
+            column.srcLength,
+            row.srcLength
+          );
+        })
       );
-      const sy = Math.max(
-        0,
-        Math.min(patternImg.height - sh, localCenterY - sh / 2)
+    } else {
+      // "transparent" and "color": the picture over an empty or solid area
+      patch.image(image, x, y, width, height);
+    }
+    patch.pop();
+
+    // Sample the patch where the image would have been sampled
+    ring.localCenterX = (ring.localCenterX - left) * scale;
+    ring.localCenterY = (ring.localCenterY - top) * scale;
+    ring.sourceScale /= scale;
+    return patch;
+  }
+
+  /**
+   * Draws a strip cut. Each strip stays in place while its contents slide
+   * along it by its rotation: a full turn moves them the strip's length.
+   * Color treatments, tint, borders and the drop shadow apply per strip as
+   * they do per ring; gaps and the bevel are for ring cuts only.
+   * @private
+   */
+  _drawStrips(
+    target,
+    patternImg,
+    ring,
+    layout,
+    rotations,
+    cutParams,
+    pixelScale
+  ) {
+    const shifts = rotations.map(
+      (rotation) => (this.p.degrees(rotation) / 360) * layout.length
+    );
+    const source = this._extendSource(
+      target,
+      patternImg,
+      ring,
+      Math.hypot(layout.length, layout.count * layout.width) +
+        2 * Math.max(...shifts.map(Math.abs)),
+      cutParams
+    );
+
+    const ctx = target.drawingContext;
+    const borderWidth = (cutParams.ringBorderWidth || 0) * pixelScale;
+    const shading = this._getShading(target, cutParams, pixelScale);
+
+    shifts.forEach((shift, i) => {
+      if (shading.shadow) {
+        this._fillStrip(target, ring, layout, i, {
+          fillStyle: shading.shadow.color,
+          shadow: shading.shadow,
+        });
+      }
+
+      target.push();
+      target.imageMode(target.CORNER);
+      target.translate(ring.centerX, ring.centerY);
+      ctx.save();
+      ctx.beginPath();
+      this.traceStrips(ctx, layout, i);
+      ctx.clip();
+      ctx.filter = getRingFilter(i, cutParams);
+      target.translate(
+        Math.cos(layout.angle) * shift,
+        Math.sin(layout.angle) * shift
+      );
+      target.scale(ring.sourceScale);
+      target.image(
+        source,
+        -ring.localCenterX,
+        -ring.localCenterY,
+        source.width,
+        source.height
       );
+      ctx.restore();
+      target.pop();
 
-      // Create or resize buffer if needed
       if (
-        !this.buffer ||
-        this.buffer.width !== bufferW ||
-        this.buffer.height !== bufferH
+        cutParams.ringTintOpacity > 0 &&
+        (cutParams.ringTintRings !== "alternate" || i % 2 === 0)
       ) {
-        if (this.buffer) this.buffer.remove();
-        this.buffer = this.p.createGraphics(bufferW, bufferH);
+        this._fillStrip(target, ring, layout, i, {
+          fillStyle: hexToRgba(
+            cutParams.ringTintColor || "#ff0000",
+            cutParams.ringTintOpacity
+          ),
+        });
       }
 
-      // Render circular slice
-      this.buffer.clear();
-      this.buffer.push();
-      this.buffer.drawingContext.save();
-      this.buffer.drawingContext.beginPath();
-      this.buffer.drawingContext.ellipse(
-        bufferW / 2,
-        bufferH / 2,
-        bufferW / 2,
-        bufferH / 2,
-        0,
+      if (borderWidth > 0) {
+        this._fillStrip(target, ring, layout, i, {
+          strokeStyle: cutParams.ringBorderColor || "#ffffff",
+          lineWidth: borderWidth,
+        });
+      }
+    });
+  }
+
+  /**
+   * Fills and/or strokes one strip of a strip cut, as _fillRingShape does
+   * for a ring
+   * @private
+   */
+  _fillStrip(target, ring, layout, index, style) {
+    const ctx = target.drawingContext;
+
+    target.push();
+    target.translate(ring.centerX, ring.centerY);
+    if (style.shadow) this._applyShadow(ctx, style.shadow);
+    ctx.beginPath();
+    this.traceStrips(ctx, layout, index);
+    if (style.fillStyle) {
+      ctx.fillStyle = style.fillStyle;
+      ctx.fill();
+    }
+    if (style.strokeStyle) {
+      ctx.strokeStyle = style.strokeStyle;
+      ctx.lineWidth = style.lineWidth;
+      ctx.stroke();
+    }
+    target.pop();
+  }
+
+  /**
+   * Draws a spiral cut: the band between neighbouring turns of the spiral,
+   * from the center out, is cut into steps, one per slice, that turn by the
+   * rotations of the rings they stand for, outermost first. Smooth spirals
+   * split the band much finer and blend the turn between those rings, so
+   * the image twirls continuously along the band and the only cut is the
+   * spiral itself. Color treatments, tint, borders and the drop shadow apply
+   * per step; a smooth spiral is a single step.
+   * @private
+   */
+  _drawSpiral(
+    target,
+    patternImg,
+    ring,
+    layout,
+    rotations,
+    cutParams,
+    pixelScale
+  ) {
+    // The band turns within the cut's circle
+    const source = this._extendSource(
+      target,
+      patternImg,
+      ring,
+      layout.radius * 2,
+      cutParams
+    );
+
+    const ctx = target.drawingContext;
+    const borderWidth = (cutParams.ringBorderWidth || 0) * pixelScale;
+    const shading = this._getShading(target, cutParams, pixelScale);
+    const start = -Math.PI * 2;
+    const length = layout.span - start;
+    const stepCount = layout.smooth ? 1 : layout.count;
+
+    // Turn at a point along the band, between the rings either side of it
+    const rotationAt = (angle) => {
+      const position = Math.max(
         0,
-        Math.PI * 2
+        Math.min(
+          layout.count - 1,
+          ((layout.span - angle) / length) * layout.count - 0.5
+        )
       );
-      this.buffer.drawingContext.clip();
-      this.buffer.image(patternImg, 0, 0, bufferW, bufferH, sx, sy, sw, sh);
-      this.buffer.drawingContext.restore();
-      this.buffer.pop();
-
-      // Draw to display layer with rotation
-      display.push();
-      display.imageMode(display.CENTER);
-      display.translate(centerX, centerY);
-      display.rotate(currentRotation);
-      display.image(this.buffer, 0, 0, sw, sh);
-      display.pop();
+      const outer = Math.floor(position);
+      const inner = Math.min(layout.count - 1, outer + 1);
+      const t = position - outer;
+      return {
+        rotation: rotations[outer] + (rotations[inner] - rotations[outer]) * t,
+        ringIndex: Math.round(position),
+      };
+    };
+
+    for (let i = 0; i < stepCount; i++) {
+      const stepEnd = layout.span - (i * length) / stepCount;
+      const stepStart = stepEnd - length / stepCount;
+
+      if (shading.shadow) {
+        this._fillSpiral(target, ring, layout, stepStart, stepEnd, {
+          fillStyle: shading.shadow.color,
+          shadow: shading.shadow,
+        });
+      }
+
+      // Piece edges along the step, outermost first
+      const edges = layout.smooth
+        ? this._getSpiralPieceEdges(layout, stepStart, stepEnd, pixelScale)
+        : [stepEnd, stepStart];
+      for (let k = 0; k + 1 < edges.length; k++) {
+        const end = edges[k];
+        const pieceLength = end - edges[k + 1];
+        const { rotation, ringIndex } = rotationAt(end - pieceLength / 2);
+
+        target.push();
+        target.imageMode(target.CORNER);
+        target.translate(ring.centerX, ring.centerY);
+        ctx.save();
+        ctx.beginPath();
+        // Pieces of a smooth spiral reach a little over the one drawn before
+        // them, so no seams show between them
+        this.traceSpiral(
+          ctx,
+          layout,
+          end - pieceLength,
+          layout.smooth ? end + pieceLength / 4 : end
+        );
+        ctx.clip();
+        ctx.filter = getRingFilter(ringIndex, cutParams);
+        target.rotate(rotation);
+        target.scale(ring.sourceScale);
+        target.image(
+          source,
+          -ring.localCenterX,
+          -ring.localCenterY,
+          source.width,
+          source.height
+        );
+        ctx.restore();
+        target.pop();
+      }
+
+      if (
+        cutParams.ringTintOpacity > 0 &&
+        (cutParams.ringTintRings !== "alternate" || i % 2 === 0)
+      ) {
+        this._fillSpiral(target, ring, layout, stepStart, stepEnd, {
+          fillStyle: hexToRgba(
+            cutParams.ringTintColor || "#ff0000",
+            cutParams.ringTintOpacity
+          ),
+        });
+      }
+
+      if (borderWidth > 0) {
+        this._fillSpiral(target, ring, layout, stepStart, stepEnd, {
+          strokeStyle: cutParams.ringBorderColor || "#ffffff",
+          lineWidth: borderWidth,
+        });
+      }
     }
+  }
+
+  /**
+   * Splits a stretch of a smooth spiral's band into pieces of about equal
+   * length along the middle of the band, SPIRAL_PIECE canvas pixels each,
+   * so the piece count follows the spiral's size on screen
+   * @returns {number[]} - Angles of the piece edges, from `end` down to
+   * `start`
+   * @private
+   */
+  _getSpiralPieceEdges(layout, start, end, pixelScale) {
+    // Distance along the band at every traced step
+    const steps = Math.max(1, Math.ceil((end - start) / TRACE_STEP));
+    const stepAngle = (end - start) / steps;
+    const distances = [0];
+    for (let i = 1; i <= steps; i++) {
+      const angle = end - (i - 0.5) * stepAngle;
+      const middle =
+        (this.getSpiralRadius(layout, angle) +
+          this.getSpiralRadius(layout, angle + Math.PI * 2)) /
+        2;
+      distances.push(distances[i - 1] + middle * stepAngle);
+    }
+
+    const total = distances[steps];
+    const pieceCount = Math.min(
+      MAX_SPIRAL_PIECES,
+      Math.max(layout.count, Math.ceil(total / pixelScale / SPIRAL_PIECE))
+    );
 
-    this.p.redraw();
+    const edges = [end];
+    let i = 1;
+    for (let k = 1; k < pieceCount; k++) {
+      const distance = (total * k) / pieceCount;
+      while (distances[i] < distance) i++;
+      const t =
+        (distance - distances[i - 1]) / (distances[i] - distances[i - 1]);
+      edges.push(end - (i - 1 + t) * stepAngle);
+    }
+    edges.push(start);
+    return edges;
   }
 
   /**
-   * Renders cut slices to a cached buffer (for inactive cuts)
+   * Fills and/or strokes a stretch of a spiral cut's band, as _fillRingShape
+   * does for a ring
+   * @private
    */
-  renderCutSlicesToBuffer(
-    cutCachesArray,
-    slotIndex,
+  _fillSpiral(target, ring, layout, start, end, style) {
+    const ctx = target.drawingContext;
+
+    target.push();
+    target.translate(ring.centerX, ring.centerY);
+    if (style.shadow) this._applyShadow(ctx, style.shadow);
+    ctx.beginPath();
+    this.traceSpiral(ctx, layout, start, end);
+    if (style.fillStyle) {
+      ctx.fillStyle = style.fillStyle;
+      ctx.fill();
+    }
+    if (style.strokeStyle) {
+      ctx.strokeStyle = style.strokeStyle;
+      ctx.lineWidth = style.lineWidth;
+      ctx.stroke();
+    }
+    target.pop();
+  }
+
+  /**
+   * Draws `patternImg` turned by `imageRotation` into the cut shape of
+   * `size`, turned by `clipRotation`, around the cut center
+   * @param {string} filter - CSS filter for the ring contents
+   * @param {object|null} wedge - For sector cuts, { start, end, shift }:
+   * only the wedge between the start and end angles (radians, clockwise
+   * from the right) is drawn, moved `shift` pixels out from the center
+   * @private
+   */
+  _drawRing(
+    target,
     patternImg,
-    imgLayer,
-    centerX,
-    centerY,
-    maxDiameter,
-    sliceAmount,
-    cutSize,
-    rotationAmount,
-    rotationSpeed,
-    isAnimated,
-    rotationProgress,
-    cutParams
+    ring,
+    size,
+    clipRotation,
+    imageRotation,
+    cutParams,
+    filter = "none",
+    wedge = null
   ) {
-    // Create cache graphics if it doesn't exist
-    if (!cutCachesArray[slotIndex]) {
-      cutCachesArray[slotIndex] = this.p.createGraphics(
-        this.p.width,
-        this.p.height
+    // When the image doesn't turn with the clip, it must also cover the
+    // corners of a turned square
+    const sw = Math.max(
+      1,
+      Math.ceil(clipRotation === imageRotation ? size : size * Math.SQRT2)
+    );
+    const sh = sw;
+
+    // Area of the source shown in the ring, shrunk by the source scale. Near
+    // the image edges it is moved back inside the image, and the drawing
+    // moves with it, so the contents stay lined up with the other rings.
+    const sampleW = sw / ring.sourceScale;
+    const sampleH = sh / ring.sourceScale;
+    const idealX = ring.localCenterX - sampleW / 2;
+    const idealY = ring.localCenterY - sampleH / 2;
+    const sx = Math.max(0, Math.min(patternImg.width - sampleW, idealX));
+    const sy = Math.max(0, Math.min(patternImg.height - sampleH, idealY));
+    const dx = -sw / 2 + (sx - idealX) * ring.sourceScale;
+    const dy = -sh / 2 + (sy - idealY) * ring.sourceScale;
+
+    // Draw the slice, clipped to the cut shape, with rotation
+    target.push();
+    target.imageMode(target.CORNER);
+    target.translate(ring.centerX, ring.centerY);
+    target.drawingContext.save();
+    if (wedge) {
+      // The wedge stays put while its contents turn. Unshifted wedges
+      // overlap slightly so no seams show between them.
+      const middle = (wedge.start + wedge.end) / 2;
+      const overlap = wedge.shift > 0 ? 0 : 1 / Math.max(1, size);
+      target.translate(
+        Math.cos(middle) * wedge.shift,
+        Math.sin(middle) * wedge.shift
+      );
+      target.drawingContext.beginPath();
+      target.drawingContext.moveTo(0, 0);
+      target.drawingContext.arc(
+        0,
+        0,
+        size,
+        wedge.start - overlap,
+        wedge.end + overlap
       );
+      target.drawingContext.closePath();
+      target.drawingContext.clip();
     }
+    target.rotate(clipRotation);
+    target.drawingContext.beginPath();
+    this.traceCutShape(
+      target.drawingContext,
+      Math.max(1, Math.ceil(size)),
+      cutParams
+    );
+    target.drawingContext.clip();
+    target.drawingContext.filter = filter;
+    target.rotate(imageRotation - clipRotation);
+    target.image(patternImg, dx, dy, sw, sh, sx, sy, sampleW, sampleH);
+    target.drawingContext.restore();
+    target.pop();
+  }
 
-    const cachedLayer = cutCachesArray[slotIndex];
-    cachedLayer.clear();
+  /**
+   * Canvas shadow settings for a cut's drop shadow and bevel, lit from the
+   * global light angle. Canvas shadows ignore the transform, so the offsets
+   * stay put however a ring turns, but must be given in device pixels.
+   * @returns {{shadow: object|null, bevel: object|null}}
+   * @private
+   */
+  _getShading(target, cutParams, pixelScale) {
+    const deviceScale = pixelScale * target.pixelDensity();
+    const lightAngle = this.p.radians(cutParams.lightAngle || 0);
+    // Unit vector pointing away from the light
+    const awayX = -Math.sin(lightAngle);
+    const awayY = Math.cos(lightAngle);
 
-    const ringThickness = cutSize / sliceAmount;
+    let shadow = null;
+    if (cutParams.ringShadow) {
+      const distance = (cutParams.shadowDistance || 0) * deviceScale;
+      shadow = {
+        color: hexToRgba(
+          cutParams.shadowColor || "#000000",
+          cutParams.shadowOpacity !== undefined ? cutParams.shadowOpacity : 0.5
+        ),
+        blur: (cutParams.shadowBlur || 0) * deviceScale,
+        offsetX: awayX * distance,
+        offsetY: awayY * distance,
+      };
+    }
 
-    if (rotationAmount === 0) return;
+    let bevel = null;
+    if (cutParams.ringBevel) {
+      const size = (cutParams.bevelSize || 1) * pixelScale;
+      const offset = (size / 2) * target.pixelDensity();
+      const opacity =
+        cutParams.bevelOpacity !== undefined ? cutParams.bevelOpacity : 0.4;
+      bevel = {
+        size,
+        // Cast away from the light, so it lines the lit edge
+        highlight: {
+          color: hexToRgba("#ffffff", opacity),
+          blur: size * target.pixelDensity(),
+          offsetX: awayX * offset,
+          offsetY: awayY * offset,
+        },
+        // Cast towards the light, so it lines the far edge
+        shade: {
+          color: hexToRgba("#000000", opacity),
+          blur: size * target.pixelDensity(),
+          offsetX: -awayX * offset,
+          offsetY: -awayY * offset,
+        },
+      };
+    }
 
-    for (let i = 0; i < sliceAmount; i++) {
-      const currentSize = maxDiameter - i * ringThickness;
+    return { shadow, bevel };
+  }
 
-      const lerpedRotationAmount = rotationAmount * rotationProgress;
-      const rotationMethod = cutParams.rotationMethod || "incremental";
+  /**
+   * Shades the inside of the cut shape of `size` along its edge, by casting
+   * `shadow` from a frame around the shape into it
+   * @param {object|null} wedge - For sector cuts, only this wedge of the
+   * shape, as in _fillRingShape
+   * @private
+   */
+  _drawInnerShadow(
+    target,
+    ring,
+    size,
+    rotation,
+    cutParams,
+    shadow,
+    frameWidth,
+    wedge = null
+  ) {
+    const ctx = target.drawingContext;
+    const shapeSize = Math.max(1, Math.ceil(size));
+    // Wedges are traced unturned, so the frame must clear a turned square
+    const outer =
+      (wedge ? (shapeSize / 2) * Math.SQRT2 : shapeSize / 2) + frameWidth * 4;
+    const traceShape = () => {
+      if (wedge) {
+        this._traceWedge(ctx, shapeSize, rotation, cutParams, wedge);
+      } else {
+        this.traceCutShape(ctx, shapeSize, cutParams);
+      }
+    };
 
-      let currentRotation = this._calculateRotation(
-        i,
-        sliceAmount,
-        lerpedRotationAmount,
-        rotationSpeed,
-        isAnimated,
-        rotationMethod
+    target.push();
+    target.translate(ring.centerX, ring.centerY);
+    if (wedge) {
+      // Moved out with the wedge, as in _fillRingShape
+      const middle = (wedge.start + wedge.end) / 2;
+      target.translate(
+        Math.cos(middle) * wedge.shift,
+        Math.sin(middle) * wedge.shift
       );
+    } else {
+      target.rotate(rotation);
+    }
+    ctx.beginPath();
+    traceShape();
+    ctx.clip();
 
-      const sw = Math.max(1, Math.ceil(currentSize));
-      const sh = Math.max(1, Math.ceil(currentSize));
+    ctx.beginPath();
+    ctx.rect(-outer, -outer, outer * 2, outer * 2);
+    traceShape();
+    this._applyShadow(ctx, shadow);
+    ctx.fillStyle = "#000000";
+    ctx.fill("evenodd");
+    target.pop();
+  }
 
-      const bufferScale = 2;
-      const bufferW = Math.ceil(sw * bufferScale);
-      const bufferH = Math.ceil(sh * bufferScale);
+  /**
+   * @private
+   */
+  _applyShadow(ctx, shadow) {
+    ctx.shadowColor = shadow.color;
+    ctx.shadowBlur = shadow.blur;
+    ctx.shadowOffsetX = shadow.offsetX;
+    ctx.shadowOffsetY = shadow.offsetY;
+  }
 
-      const localCenterX = centerX - (this.p.width / 2 - imgLayer.width / 2);
-      const localCenterY = centerY - (this.p.height / 2 - imgLayer.height / 2);
+  /**
+   * Fills and/or strokes the cut shape of `size`, turned by `rotation`,
+   * around the cut center
+   * @param {object} style - Canvas 2D styles: fillStyle, strokeStyle,
+   * lineWidth, and a `shadow` from _getShading
+   * @param {object|null} wedge - For sector cuts, only this wedge of the
+   * shape, moved out as _drawRing moves it
+   * @private
+   */
+  _fillRingShape(target, ring, size, rotation, cutParams, style, wedge = null) {
+    const ctx = target.drawingContext;
+    const shapeSize = Math.max(1, Math.ceil(size));
 
-      const sx = Math.max(
-        0,
-        Math.min(patternImg.width - sw, localCenterX - sw / 2)
+    target.push();
+    target.translate(ring.centerX, ring.centerY);
+    if (style.shadow) this._applyShadow(ctx, style.shadow);
+    ctx.beginPath();
+    if (wedge) {
+      // Traced rather than clipped, as a clip would cut off the shadow
+      const middle = (wedge.start + wedge.end) / 2;
+      target.translate(
+        Math.cos(middle) * wedge.shift,
+        Math.sin(middle) * wedge.shift
       );
-      const sy = Math.max(
-        0,
-        Math.min(patternImg.height - sh, localCenterY - sh / 2)
+      this._traceWedge(ctx, shapeSize, rotation, cutParams, wedge);
+    } else {
+      target.rotate(rotation);
+      this.traceCutShape(ctx, shapeSize, cutParams);
+    }
+    if (style.fillStyle) {
+      ctx.fillStyle = style.fillStyle;
+      ctx.fill();
+    }
+    if (style.strokeStyle) {
+      ctx.strokeStyle = style.strokeStyle;
+      ctx.lineWidth = style.lineWidth;
+      ctx.stroke();
+    }
+    target.pop();
+  }
+
+  /**
+   * Adds the part of the cut shape of `diameter`, turned by `rotation`, that
+   * lies within a wedge to the current path. Every cut shape contains its
+   * center, so its edge can be followed by angle across the wedge.
+   * @private
+   */
+  _traceWedge(ctx, diameter, rotation, cutParams, wedge) {
+    const radius = diameter / 2;
+    // Distance from the center to the shape's edge, `angle` radians from
+    // the shape's own zero
+    const edgeDistance = (angle) => {
+      switch (cutParams.cutShape) {
+        case "square":
+          return (
+            radius /
+            Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)))
+          );
+
+        case "polygon": {
+          const sides = Math.max(3, Math.round(cutParams.polygonSides || 6));
+          const sideAngle = (Math.PI * 2) / sides;
+          // Angle from the middle of the nearest side (see traceCutShape)
+          const local = angle + Math.PI / 2 - sideAngle / 2;
+          const offset = local - Math.round(local / sideAngle) * sideAngle;
+          return (radius * Math.cos(sideAngle / 2)) / Math.cos(offset);
+        }
+
+        case "ellipse": {
+          const aspect = Math.max(
+            0.1,
+            Math.min(1, cutParams.ellipseAspect || 1)
+          );
+          const local = angle - this.p.radians(cutParams.ellipseTilt || 0);
+          return (
+            1 /
+            Math.hypot(
+              Math.cos(local) / radius,
+              Math.sin(local) / (radius * aspect)
+            )
+          );
+        }
+
+        default:
+          return radius;
+      }
+    };
+
+    const steps = Math.max(
+      1,
+      Math.ceil((wedge.end - wedge.start) / TRACE_STEP)
+    );
+    ctx.moveTo(0, 0);
+    for (let i = 0; i <= steps; i++) {
+      const angle = wedge.start + ((wedge.end - wedge.start) * i) / steps;
+      const distance = edgeDistance(angle - rotation);
+      ctx.lineTo(Math.cos(angle) * distance, Math.sin(angle) * distance);
+    }
+    ctx.closePath();
+  }
+
+  /**
+   * Resting angle of every ring of a cut, outermost first, for the ring
+   * angle table
+   * @param {object} cutParams - The cut's parameters
+   * @returns {Array<{computed: number, override: number|null}>} - Degrees;
+   * `computed` is what the rotation method gives, `override` the fixed angle
+   */
+  getRingAngles(cutParams) {
+    const ringCount = getRingCount(cutParams);
+    const ringDiameters = getRingDiameters(1, ringCount, cutParams);
+    const overrides = cutParams.ringAngleOverrides || {};
+    const withoutOverrides = { ...cutParams, ringAngleOverrides: {} };
+
+    return ringDiameters.map((ringFraction, i) => ({
+      computed: this.p.degrees(
+        this._calculateRotation(
+          i,
+          ringDiameters.length,
+          ringFraction,
+          cutParams.rotationAmount || 0,
+          1,
+          0,
+          false,
+          withoutOverrides
+        )
+      ),
+      override: typeof overrides[i] === "number" ? overrides[i] : null,
+    }));
+  }
+
+  /**
+   * Adds the outline of a cut's shape (see the `cutShape` parameter), centered
+   * on the origin, to the current path of a 2D canvas context. Every shape
+   * fits inside a circle of `diameter`, except squares, which fill the square
+   * around it. Strip cuts trace their whole strip region, `diameter` long,
+   * and spiral cuts the circle their spiral fills.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} diameter - Size of the ring
+   * @param {object} cutParams - The cut's parameters
+   */
+  traceCutShape(ctx, diameter, cutParams) {
+    if (cutParams.cutType === "strips") {
+      this.traceStrips(
+        ctx,
+        this.getStripLayout(diameter, getRingCount(cutParams), cutParams)
       );
+      return;
+    }
 
-      // Create or resize buffer if needed
-      if (
-        !this.buffer ||
-        this.buffer.width !== bufferW ||
-        this.buffer.height !== bufferH
-      ) {
-        if (this.buffer) this.buffer.remove();
-        this.buffer = this.p.createGraphics(bufferW, bufferH);
+    const radius = diameter / 2;
+
+    if (cutParams.cutType === "spiral") {
+      ctx.ellipse(0, 0, radius, radius, 0, 0, Math.PI * 2);
+      return;
+    }
+
+    switch (cutParams.cutShape) {
+      case "square":
+        ctx.rect(-radius, -radius, diameter, diameter);
+        break;
+
+      case "polygon": {
+        const sides = Math.max(3, Math.round(cutParams.polygonSides || 6));
+        for (let i = 0; i < sides; i++) {
+          // First vertex points straight up
+          const angle = -Math.PI / 2 + (i / sides) * Math.PI * 2;
+          const x = Math.cos(angle) * radius;
+          const y = Math.sin(angle) * radius;
+          if (i === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        }
+        ctx.closePath();
+        break;
       }
 
-      // Render circular slice
-      this.buffer.clear();
-      this.buffer.push();
-      this.buffer.drawingContext.save();
-      this.buffer.drawingContext.beginPath();
-      this.buffer.drawingContext.ellipse(
-        bufferW / 2,
-        bufferH / 2,
-        bufferW / 2,
-        bufferH / 2,
-        0,
-        0,
-        Math.PI * 2
+      case "ellipse": {
+        const aspect = Math.max(0.1, Math.min(1, cutParams.ellipseAspect || 1));
+        const tilt = this.p.radians(cutParams.ellipseTilt || 0);
+        ctx.ellipse(0, 0, radius, radius * aspect, tilt, 0, Math.PI * 2);
+        break;
+      }
+
+      default:
+        ctx.ellipse(0, 0, radius, radius, 0, 0, Math.PI * 2);
+    }
+  }
+
+  /**
+   * Geometry of a strip cut: `stripCount` strips side by side, `length`
+   * long and turned by the strip angle
+   * @param {number} length - The cut size, in the caller's pixels
+   * @param {number} stripCount - See getRingCount
+   * @param {object} cutParams - The cut's parameters
+   * @param {number} pixelScale - Caller's pixels per canvas pixel
+   * @returns {{angle: number, length: number, width: number, count: number}}
+   */
+  getStripLayout(length, stripCount, cutParams, pixelScale = 1) {
+    return {
+      angle: this.p.radians(cutParams.stripAngle || 0),
+      length,
+      width: Math.max(1, (cutParams.stripWidth || 30) * pixelScale),
+      count: Math.max(1, Math.floor(stripCount)),
+    };
+  }
+
+  /**
+   * Adds one strip of a strip cut (counted from the top, before the strip
+   * angle turns it), or with no index the whole strip region, centered on
+   * the origin, to the current path
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} layout - See getStripLayout
+   * @param {number|null} index
+   */
+  traceStrips(ctx, layout, index = null) {
+    const regionWidth = layout.count * layout.width;
+    const top =
+      index === null
+        ? -regionWidth / 2
+        : -regionWidth / 2 + index * layout.width;
+    const height = index === null ? regionWidth : layout.width;
+
+    ctx.rotate(layout.angle);
+    ctx.rect(-layout.length / 2, top, layout.length, height);
+    ctx.rotate(-layout.angle);
+  }
+
+  /**
+   * Geometry of a spiral cut, `diameter` across. The spiral starts at the
+   * top and winds clockwise out to the edge.
+   * @param {number} diameter - The cut size, in the caller's pixels
+   * @param {number} stepCount - See getRingCount
+   * @param {object} cutParams - The cut's parameters
+   * @returns {{radius: number, span: number, growth: number|null,
+   * count: number, smooth: boolean}} - `span` is the angle the spiral winds
+   * through (radians); `growth` is the logarithmic spiral's rate, null for
+   * an Archimedean one
+   */
+  getSpiralLayout(diameter, stepCount, cutParams) {
+    const span = Math.max(0.5, cutParams.spiralTurns || 3) * Math.PI * 2;
+    return {
+      radius: diameter / 2,
+      span,
+      growth:
+        cutParams.spiralType === "logarithmic"
+          ? -Math.log(LOG_SPIRAL_CORE) / span
+          : null,
+      count: Math.max(1, Math.floor(stepCount)),
+      smooth: cutParams.spiralSmooth !== false,
+    };
+  }
+
+  /**
+   * Distance of a spiral cut's spiral from the center, `angle` radians
+   * along it. Before the start it stays at the center, past the end on the
+   * edge.
+   * @param {object} layout - See getSpiralLayout
+   * @param {number} angle
+   * @returns {number}
+   */
+  getSpiralRadius(layout, angle) {
+    if (angle < 0) return 0;
+    if (angle >= layout.span) return layout.radius;
+    if (layout.growth === null) return (layout.radius * angle) / layout.span;
+    return layout.radius * Math.exp(layout.growth * (angle - layout.span));
+  }
+
+  /**
+   * Adds a stretch of a spiral cut's band, centered on the origin, to the
+   * current path. The band lies between the spiral and its next turn out;
+   * from one turn before the spiral starts to where it ends it fills the
+   * cut's circle.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} layout - See getSpiralLayout
+   * @param {number} start - Angle along the spiral (radians)
+   * @param {number} end
+   */
+  traceSpiral(ctx, layout, start = -Math.PI * 2, end = layout.span) {
+    const steps = Math.max(1, Math.ceil((end - start) / TRACE_STEP));
+    const point = (angle, radius) => {
+      // Angles count clockwise from the top
+      const x = Math.cos(angle - Math.PI / 2) * radius;
+      const y = Math.sin(angle - Math.PI / 2) * radius;
+      return [x, y];
+    };
+
+    for (let i = 0; i <= steps; i++) {
+      const angle = start + ((end - start) * i) / steps;
+      const [x, y] = point(angle, this.getSpiralRadius(layout, angle));
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    for (let i = steps; i >= 0; i--) {
+      const angle = start + ((end - start) * i) / steps;
+      ctx.lineTo(
+        ...point(angle, this.getSpiralRadius(layout, angle + Math.PI * 2))
       );
-      this.buffer.drawingContext.clip();
-      this.buffer.image(patternImg, 0, 0, bufferW, bufferH, sx, sy, sw, sh);
-      this.buffer.drawingContext.restore();
-      this.buffer.pop();
-
-      // Draw to cached layer with rotation
-      cachedLayer.push();
-      cachedLayer.imageMode(cachedLayer.CENTER);
-      cachedLayer.translate(centerX, centerY);
-      cachedLayer.rotate(currentRotation);
-      cachedLayer.image(this.buffer, 0, 0, sw, sh);
-      cachedLayer.pop();
     }
+    ctx.closePath();
   }
 
   /**
-   * Calculates rotation based on animation method
+   * Calculates a ring's rotation (radians) for the cut's rotation method:
+   * - incremental (Swirl): each ring turns one step further than the last
+   * - wave (Ripple), sawtooth, triangle: a periodic profile across the rings,
+   *   set by waveFrequency and wavePhase, that travels when animated
+   * - alternating: neighbouring rings turn in opposite directions
+   * - noise: seeded Perlin noise offsets per ring
+   * - eased: like Swirl, but easing in and out across the rings
+   * - spiral: the twist grows with 1 / ring radius, winding up the center
+   * - curve: read from the cut's rotationCurve, ignoring rotationAmount
+   * The other methods swing back and forth when animated. Rings with an
+   * entry in ringAngleOverrides take that angle whatever the method.
    * @private
    */
   _calculateRotation(
     sliceIndex,
     totalSlices,
-    lerpedRotationAmount,
+    ringFraction,
+    rotationAmount,
+    rotationProgress,
     rotationSpeed,
     isAnimated,
-    rotationMethod
+    cutParams
   ) {
-    if (isAnimated) {
-      const animatedValue = this.p.map(
-        this.p.sin(this.p.frameCount * rotationSpeed),
-        -1,
-        1,
-        -lerpedRotationAmount,
-        lerpedRotationAmount
-      );
+    const rotationMethod = cutParams.rotationMethod || "incremental";
+    const phase = isAnimated ? this._getAnimationPhase(rotationSpeed) : 0;
+    const oscillation = isAnimated ? Math.sin(phase) : 1;
+    const lerpedRotationAmount = rotationAmount * rotationProgress;
+    const swing = lerpedRotationAmount * oscillation;
+    const lastIndex = Math.max(1, totalSlices - 1);
 
-      if (rotationMethod === "wave") {
-        const waveFrequency = 3;
-        const phaseOffset =
-          (sliceIndex / totalSlices) * Math.PI * 2 * waveFrequency;
-        const waveAmount =
-          lerpedRotationAmount *
-          Math.sin(this.p.frameCount * rotationSpeed + phaseOffset);
-        return this.p.radians(waveAmount);
-      } else {
-        return this.p.radians(animatedValue * sliceIndex);
+    const override = (cutParams.ringAngleOverrides || {})[sliceIndex];
+    if (typeof override === "number") {
+      return this.p.radians(override * rotationProgress * oscillation);
+    }
+
+    let degrees;
+    switch (rotationMethod) {
+      case "wave":
+      case "sawtooth":
+      case "triangle": {
+        const waveFrequency =
+          cutParams.waveFrequency !== undefined ? cutParams.waveFrequency : 3;
+        const wavePhase = this.p.radians(cutParams.wavePhase || 0);
+        const cycle =
+          (sliceIndex / totalSlices) * waveFrequency +
+          (phase + wavePhase) / (Math.PI * 2);
+        degrees = lerpedRotationAmount * periodicProfile(rotationMethod, cycle);
+        break;
       }
-    } else {
-      if (rotationMethod === "wave") {
-        const waveFrequency = 3;
-        const phaseOffset =
-          (sliceIndex / totalSlices) * Math.PI * 2 * waveFrequency;
-        const waveAmount = lerpedRotationAmount * Math.sin(phaseOffset);
-        return this.p.radians(waveAmount);
-      } else {
-        return this.p.radians(lerpedRotationAmount * sliceIndex);
+
+      case "alternating":
+        degrees = sliceIndex % 2 === 0 ? swing : -swing;
+        break;
+
+      case "noise":
+        degrees =
+          swing *
+          perlinNoise(sliceIndex * NOISE_SCALE + 0.5, cutParams.noiseSeed || 0);
+        break;
+
+      case "eased": {
+        const t = Math.min(1, sliceIndex / lastIndex);
+        degrees = swing * lastIndex * t * t * (3 - 2 * t);
+        break;
       }
+
+      case "spiral":
+        degrees = swing * (1 / Math.max(ringFraction, 0.01) - 1);
+        break;
+
+      case "curve":
+        degrees =
+          sampleRotationCurve(
+            cutParams.rotationCurve,
+            totalSlices > 1 ? sliceIndex / (totalSlices - 1) : 0
+          ) *
+          rotationProgress *
+          oscillation;
+        break;
+
+      default:
+        degrees = swing * sliceIndex;
     }
+
+    return this.p.radians(degrees);
   }
 
   /**
-   * Cleans up resources
+   * Returns the current animation phase, honouring any export override
+   * @private
    */
-  dispose() {
-    if (this.buffer) {
-      this.buffer.remove();
-      this.buffer = null;
-    }
+  _getAnimationPhase(rotationSpeed) {
+    const frame =
+      this.frameOverride !== null ? this.frameOverride : this.p.frameCount;
+    return frame * rotationSpeed;
   }
 }
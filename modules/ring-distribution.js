@@ -0,0 +1,92 @@
+/**
+ * Ring Distribution Module
+ * Works out how a cut's diameter is divided into nested rings
+ */
+
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * Parses a custom list of ring radii, given as fractions of the cut's radius
+ * (e.g. "1, 0.8, 0.45, 0.2"). Entries outside (0, 1] and repeats are dropped.
+ * @param {string} text
+ * @returns {Array<number>} - Radii, outermost first
+ */
+export function parseRingRadii(text) {
+  const radii = String(text || "")
+    .split(/[\s,;]+/)
+    .map((entry) => parseFloat(entry))
+    .filter((radius) => radius > 0 && radius <= 1);
+
+  return Array.from(new Set(radii)).sort((a, b) => b - a);
+}
+
+/**
+ * Number of rings a cut is divided into: the length of its custom radii
+ * list, or its slice amount
+ * @param {object} cutParams - The cut's parameters
+ * @returns {number}
+ */
+export function getRingCount(cutParams) {
+  if (cutParams.ringDistribution === "custom") {
+    const radii = parseRingRadii(cutParams.ringRadii);
+    if (radii.length > 0) return radii.length;
+  }
+  return Math.max(1, Math.floor(cutParams.sliceAmount || 10));
+}
+
+/**
+ * Outer diameter of every ring, outermost first. The innermost ring of the
+ * even, logarithmic and exponential distributions is 1 / ringCount of the
+ * cut, so only the spacing in between differs.
+ * @param {number} cutSize - Outer diameter of the cut
+ * @param {number} ringCount - See getRingCount
+ * @param {object} cutParams - The cut's parameters
+ * @returns {Array<number>}
+ */
+export function getRingDiameters(cutSize, ringCount, cutParams) {
+  const n = Math.max(1, ringCount);
+  const innermost = 1 / n;
+  let fractions;
+
+  switch (cutParams.ringDistribution) {
+    case "logarithmic":
+      // Evenly spaced in log(radius): rings thin out towards the center
+      fractions = Array.from({ length: n }, (_, i) =>
+        n === 1 ? 1 : Math.pow(innermost, i / (n - 1))
+      );
+      break;
+
+    case "exponential": {
+      // The logarithmic spacing mirrored: rings thin out towards the edge
+      const logarithmic = getRingDiameters(1, n, {
+        ringDistribution: "logarithmic",
+      });
+      fractions = logarithmic.map(
+        (_, i) => 1 + innermost - logarithmic[n - 1 - i]
+      );
+      break;
+    }
+
+    case "golden":
+      // Each ring is the previous one divided by the golden ratio
+      fractions = Array.from({ length: n }, (_, i) =>
+        Math.pow(GOLDEN_RATIO, -i)
+      );
+      break;
+
+    case "custom": {
+      const radii = parseRingRadii(cutParams.ringRadii);
+      if (radii.length > 0) {
+        fractions = radii.slice(0, n);
+        break;
+      }
+      // No usable radii: fall back to even rings
+    }
+    // falls through
+
+    default:
+      fractions = Array.from({ length: n }, (_, i) => 1 - i / n);
+  }
+
+  return fractions.map((fraction) => fraction * cutSize);
+}
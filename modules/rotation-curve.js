@@ -0,0 +1,492 @@
+/**
+ * Rotation Curve Module
+ * A per-cut rotation profile drawn by the user: x runs across the rings from
+ * the outer (0) to the inner (1) ring, y is the ring's rotation in degrees.
+ * The curve passes through its points as a chain of cubic beziers. A point
+ * may carry tangent handles, `handleIn` and `handleOut`, as offsets from the
+ * point; points without them get smooth automatic (Catmull-Rom) handles.
+ */
+
+export const CURVE_RANGE = 90; // Degrees either side of zero
+const POINT_RADIUS = 4;
+const HANDLE_SIZE = 6;
+const HIT_RADIUS = 8;
+const SAMPLE_ITERATIONS = 24; // Bisection steps when sampling by x
+
+/**
+ * Drops malformed points, clamps the rest into range and sorts them by x.
+ * Handles are clamped to their side of the point and to the curve's range.
+ * @param {Array<{x: number, y: number, handleIn?: object, handleOut?: object}>} points
+ * @returns {Array<{x: number, y: number, handleIn?: object, handleOut?: object}>}
+ */
+export function normalizeCurvePoints(points) {
+  if (!Array.isArray(points)) return [];
+
+  const normalizeHandle = (handle, point, side) => ({
+    x:
+      side < 0
+        ? Math.max(-point.x, Math.min(0, Number(handle.x)))
+        : Math.max(0, Math.min(1 - point.x, Number(handle.x))),
+    y: Math.max(
+      -CURVE_RANGE - point.y,
+      Math.min(CURVE_RANGE - point.y, Number(handle.y))
+    ),
+  });
+  const isValidHandle = (handle) =>
+    handle && isFinite(handle.x) && isFinite(handle.y);
+
+  return points
+    .filter((point) => point && isFinite(point.x) && isFinite(point.y))
+    .map((point) => {
+      const normalized = {
+        x: Math.max(0, Math.min(1, Number(point.x))),
+        y: Math.max(-CURVE_RANGE, Math.min(CURVE_RANGE, Number(point.y))),
+      };
+      if (isValidHandle(point.handleIn)) {
+        normalized.handleIn = normalizeHandle(point.handleIn, normalized, -1);
+      }
+      if (isValidHandle(point.handleOut)) {
+        normalized.handleOut = normalizeHandle(point.handleOut, normalized, 1);
+      }
+      return normalized;
+    })
+    .sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Where every point's tangent handles are, in curve coordinates. Handles
+ * never reach past the neighbouring points, so the curve runs left to
+ * right. Automatic handles sit a third of the way along their segment, on
+ * Catmull-Rom tangents. The first point has no incoming handle and the last
+ * no outgoing one.
+ * @returns {Array<{in: {x: number, y: number}|null, out: {x: number, y: number}|null}>}
+ */
+export function getCurveHandles(points) {
+  const sorted = normalizeCurvePoints(points);
+  const slope = (a, b) => (b.x - a.x > 0 ? (b.y - a.y) / (b.x - a.x) : 0);
+  const tangent = (i) => {
+    const previous = sorted[Math.max(0, i - 1)];
+    const next = sorted[Math.min(sorted.length - 1, i + 1)];
+    return slope(previous, next);
+  };
+
+  return sorted.map((point, i) => {
+    const previous = sorted[i - 1];
+    const next = sorted[i + 1];
+
+    let handleIn = null;
+    if (previous) {
+      const third = (point.x - previous.x) / 3;
+      const offset = point.handleIn || {
+        x: -third,
+        y: -tangent(i) * third,
+      };
+      handleIn = {
+        x: Math.max(previous.x, point.x + offset.x),
+        y: point.y + offset.y,
+      };
+    }
+
+    let handleOut = null;
+    if (next) {
+      const third = (next.x - point.x) / 3;
+      const offset = point.handleOut || {
+        x: third,
+        y: tangent(i) * third,
+      };
+      handleOut = {
+        x: Math.min(next.x, point.x + offset.x),
+        y: point.y + offset.y,
+      };
+    }
+
+    return { in: handleIn, out: handleOut };
+  });
+}
+
+/**
+ * Bezier segments between neighbouring points, through their handles
+ * @returns {Array<Array<{x: number, y: number}>>} - [start, c1, c2, end] per segment
+ */
+export function getCurveSegments(points) {
+  const sorted = normalizeCurvePoints(points);
+  const handles = getCurveHandles(sorted);
+
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    segments.push([
+      sorted[i],
+      handles[i].out,
+      handles[i + 1].in,
+      sorted[i + 1],
+    ]);
+  }
+  return segments;
+}
+
+/**
+ * One coordinate of a cubic bezier at parameter t
+ */
+function bezierAt(a, b, c, d, t) {
+  const u = 1 - t;
+  return u * u * u * a + 3 * u * u * t * b + 3 * u * t * t * c + t * t * t * d;
+}
+
+/**
+ * Rotation in degrees at `x` along the curve. Outside the points the curve
+ * holds the nearest point's value; with no points it is flat at zero.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} x - 0 (outer ring) to 1 (inner ring)
+ * @returns {number}
+ */
+export function sampleRotationCurve(points, x) {
+  const sorted = normalizeCurvePoints(points);
+  if (sorted.length === 0) return 0;
+  if (x <= sorted[0].x) return sorted[0].y;
+  if (x >= sorted[sorted.length - 1].x) return sorted[sorted.length - 1].y;
+
+  const segment = getCurveSegments(sorted).find(
+    ([start, , , end]) => x >= start.x && x <= end.x
+  );
+  const [start, c1, c2, end] = segment;
+
+  // Find the bezier parameter where the curve reaches x
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < SAMPLE_ITERATIONS; i++) {
+    const middle = (low + high) / 2;
+    if (bezierAt(start.x, c1.x, c2.x, end.x, middle) < x) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return bezierAt(start.y, c1.y, c2.y, end.y, (low + high) / 2);
+}
+
+/**
+ * Canvas widget for editing a rotation curve. Click to add a point, drag to
+ * move one and double-click to remove it. The end points stay at the outer
+ * and inner ring and only move up and down. Clicking a point shows its
+ * tangent handles: drag them to shape the curve, or double-click one to make
+ * the point smooth again.
+ */
+export class RotationCurveEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {function(Array<object>)} onChange - Called with a new points
+   * array after every edit
+   */
+  constructor(canvas, onChange) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.onChange = onChange;
+    this.points = [];
+    this.selectedIndex = -1; // Point whose handles are shown
+    this.drag = null; // { index, part: "point" | "in" | "out" }
+    this.enabled = true;
+
+    canvas.addEventListener("pointerdown", (e) => this._handlePointerDown(e));
+    canvas.addEventListener("pointermove", (e) => this._handlePointerMove(e));
+    canvas.addEventListener("pointerup", () => (this.drag = null));
+    canvas.addEventListener("pointercancel", () => (this.drag = null));
+    canvas.addEventListener("dblclick", (e) => this._handleDoubleClick(e));
+  }
+
+  setPoints(points) {
+    this.points = normalizeCurvePoints(points);
+    if (this.selectedIndex >= this.points.length) this.selectedIndex = -1;
+    this.draw();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.drag = null;
+    this.canvas.style.opacity = enabled ? "1" : "0.4";
+    this.canvas.style.cursor = enabled ? "crosshair" : "not-allowed";
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+    const { width, height } = canvas;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.05)";
+    ctx.fillRect(0, 0, width, height);
+
+    // Zero line and ±45° guides
+    ctx.lineWidth = 1;
+    [-45, 0, 45].forEach((degrees) => {
+      ctx.strokeStyle =
+        degrees === 0 ? "rgba(255, 255, 255, 0.4)" : "rgba(255, 255, 255, 0.1)";
+      ctx.beginPath();
+      ctx.moveTo(0, this._toCanvasY(degrees));
+      ctx.lineTo(width, this._toCanvasY(degrees));
+      ctx.stroke();
+    });
+
+    const segments = getCurveSegments(this.points);
+    if (segments.length > 0) {
+      ctx.strokeStyle = "#ff0000";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(
+        this._toCanvasX(segments[0][0].x),
+        this._toCanvasY(segments[0][0].y)
+      );
+      segments.forEach(([, c1, c2, end]) => {
+        ctx.bezierCurveTo(
+          this._toCanvasX(c1.x),
+          this._toCanvasY(c1.y),
+          this._toCanvasX(c2.x),
+          this._toCanvasY(c2.y),
+          this._toCanvasX(end.x),
+          this._toCanvasY(end.y)
+        );
+      });
+      ctx.stroke();
+    }
+
+    // Handles of the selected point: solid when set, hollow when automatic
+    const selected = this.points[this.selectedIndex];
+    if (selected) {
+      const handles = getCurveHandles(this.points)[this.selectedIndex];
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.fillStyle = "#ffffff";
+      [
+        [handles.in, selected.handleIn],
+        [handles.out, selected.handleOut],
+      ].forEach(([handle, isSet]) => {
+        if (!handle) return;
+        const x = this._toCanvasX(handle.x);
+        const y = this._toCanvasY(handle.y);
+        ctx.beginPath();
+        ctx.moveTo(this._toCanvasX(selected.x), this._toCanvasY(selected.y));
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.rect(
+          x - HANDLE_SIZE / 2,
+          y - HANDLE_SIZE / 2,
+          HANDLE_SIZE,
+          HANDLE_SIZE
+        );
+        if (isSet) {
+          ctx.fill();
+        } else {
+          ctx.stroke();
+        }
+      });
+    }
+
+    this.points.forEach((point, i) => {
+      ctx.fillStyle = i === this.selectedIndex ? "#ff0000" : "#ffffff";
+      ctx.beginPath();
+      ctx.arc(
+        this._toCanvasX(point.x),
+        this._toCanvasY(point.y),
+        POINT_RADIUS,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    });
+  }
+
+  /**
+   * @private
+   */
+  _handlePointerDown(e) {
+    if (!this.enabled) return;
+
+    const handle = this._findHandle(e);
+    if (handle) {
+      this.drag = { index: this.selectedIndex, part: handle };
+    } else {
+      let index = this._findPoint(e);
+      if (index === -1) {
+        const position = this._getCurvePosition(e);
+        this.points = [...this.points, position].sort((a, b) => a.x - b.x);
+        index = this.points.indexOf(position);
+        this.selectedIndex = index;
+        this._commit();
+      } else {
+        this.selectedIndex = index;
+        this.draw();
+      }
+      this.drag = { index, part: "point" };
+    }
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  /**
+   * @private
+   */
+  _handlePointerMove(e) {
+    if (!this.drag) return;
+
+    const { x, y } = this._getCurvePosition(e);
+    const { index, part } = this.drag;
+    const point = this.points[index];
+
+    if (part === "point") {
+      const last = this.points.length - 1;
+      // Ends stay put horizontally; the others stay between their neighbours
+      const pointX =
+        index === 0 || index === last
+          ? point.x
+          : Math.max(
+              this.points[index - 1].x,
+              Math.min(this.points[index + 1].x, x)
+            );
+      this._replacePoint(index, { ...point, x: pointX, y });
+    } else {
+      // Setting one handle pins the other where it is shown
+      const handles = getCurveHandles(this.points)[index];
+      const offset = (handle) =>
+        handle ? { x: handle.x - point.x, y: handle.y - point.y } : undefined;
+      const updated = {
+        ...point,
+        handleIn: point.handleIn || offset(handles.in),
+        handleOut: point.handleOut || offset(handles.out),
+      };
+      updated[part === "in" ? "handleIn" : "handleOut"] = {
+        x: x - point.x,
+        y: y - point.y,
+      };
+      if (!updated.handleIn) delete updated.handleIn;
+      if (!updated.handleOut) delete updated.handleOut;
+      this._replacePoint(index, updated);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleDoubleClick(e) {
+    if (!this.enabled) return;
+
+    if (this._findHandle(e)) {
+      const { handleIn, handleOut, ...point } = this.points[this.selectedIndex];
+      this.drag = null;
+      this._replacePoint(this.selectedIndex, point);
+      return;
+    }
+
+    const index = this._findPoint(e);
+    if (index <= 0 || index >= this.points.length - 1) return;
+
+    this.points = this.points.filter((_, i) => i !== index);
+    this.selectedIndex = -1;
+    this.drag = null;
+    this._commit();
+  }
+
+  /**
+   * @private
+   */
+  _replacePoint(index, point) {
+    this.points = normalizeCurvePoints(
+      this.points.map((current, i) => (i === index ? point : current))
+    );
+    this._commit();
+  }
+
+  /**
+   * @private
+   */
+  _commit() {
+    this.draw();
+    this.onChange(JSON.parse(JSON.stringify(this.points)));
+  }
+
+  /**
+   * @private
+   */
+  _findPoint(e) {
+    const { x, y } = this._getCanvasPosition(e);
+    return this.points.findIndex(
+      (point) =>
+        Math.hypot(
+          this._toCanvasX(point.x) - x,
+          this._toCanvasY(point.y) - y
+        ) <= HIT_RADIUS
+    );
+  }
+
+  /**
+   * Which handle of the selected point is under the pointer
+   * @returns {"in"|"out"|null}
+   * @private
+   */
+  _findHandle(e) {
+    if (!this.points[this.selectedIndex]) return null;
+
+    const { x, y } = this._getCanvasPosition(e);
+    const handles = getCurveHandles(this.points)[this.selectedIndex];
+    const isHit = (handle) =>
+      handle &&
+      Math.hypot(
+        this._toCanvasX(handle.x) - x,
+        this._toCanvasY(handle.y) - y
+      ) <= HIT_RADIUS;
+    if (isHit(handles.out)) return "out";
+    if (isHit(handles.in)) return "in";
+    return null;
+  }
+  /**
+   * @private
+   */
+  _getCanvasPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this.canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * this.canvas.height,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getCurvePosition(e) {
+    const { x, y } = this._getCanvasPosition(e);
+    const { width, height } = this.canvas;
+    return {
+      x: Math.max(
+        0,
+        Math.min(1, (x - POINT_RADIUS) / (width - 2 * POINT_RADIUS))
+      ),
+      y: Math.round(
+        Math.max(
+          -CURVE_RANGE,
+          Math.min(
+            CURVE_RANGE,
+            CURVE_RANGE -
+              ((y - POINT_RADIUS) / (height - 2 * POINT_RADIUS)) *
+                2 *
+                CURVE_RANGE
+          )
+        )
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toCanvasX(x) {
+    return POINT_RADIUS + x * (this.canvas.width - 2 * POINT_RADIUS);
+  }
+
+  /**
+   * @private
+   */
+  _toCanvasY(degrees) {
+    return (
+      POINT_RADIUS +
+      ((CURVE_RANGE - degrees) / (2 * CURVE_RANGE)) *
+        (this.canvas.height - 2 * POINT_RADIUS)
+    );
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Session Store Module
+ * Persists autosaved sessions in IndexedDB so work survives closing the tab
+ */
+
+const DB_NAME = "cinetiser";
+const DB_VERSION = 2;
+const STORE_NAME = "sessions";
+// Image payloads, written once and shared by the sessions referencing them
+const IMAGE_STORE_NAME = "images";
+
+export const MAX_SESSIONS = 5;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class SessionStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * @returns {boolean} - Whether IndexedDB is available in this browser
+   */
+  isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Creates a new, unique session id
+   * @returns {string}
+   */
+  createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+
+  /**
+   * Creates a new, unique key for an image payload
+   * @returns {string}
+   */
+  createImageKey() {
+    return `image-${this.createSessionId()}`;
+  }
+
+  /**
+   * Writes a session, then drops the oldest beyond MAX_SESSIONS
+   * @param {object} session
+   * @param {string} session.id - Session id
+   * @param {string} session.project - Serialized project JSON
+   * @param {string} session.thumbnail - Small preview as a data URL
+   * @param {object} session.images - Images the project references by key;
+   *   only those not stored yet are written
+   */
+  async save({ id, project, thumbnail, images = {} }) {
+    const imageStore = await this._getStore("readonly", IMAGE_STORE_NAME);
+    const storedKeys = await Promise.all(
+      Object.keys(images).map((key) => requestToPromise(imageStore.getKey(key)))
+    );
+    const newImages = Object.keys(images).filter(
+      (key, index) => storedKeys[index] === undefined
+    );
+    if (newImages.length > 0) {
+      const store = await this._getStore("readwrite", IMAGE_STORE_NAME);
+      await Promise.all(
+        newImages.map((key) =>
+          requestToPromise(store.put({ key, image: images[key] }))
+        )
+      );
+    }
+
+    const existing = await this.get(id);
+    const now = Date.now();
+
+    const store = await this._getStore("readwrite");
+    await requestToPromise(
+      store.put({
+        id,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        project,
+        imageKeys: Object.keys(images),
+        thumbnail,
+      })
+    );
+    await this._prune();
+  }
+
+  /**
+   * Reads the images a session references
+   * @param {object} session - As returned by get()
+   * @returns {Promise<object>} - Images keyed as the session's project
+   *   references them
+   */
+  async getImages(session) {
+    const keys = session.imageKeys || [];
+    const store = await this._getStore("readonly", IMAGE_STORE_NAME);
+    const records = await Promise.all(
+      keys.map((key) => requestToPromise(store.get(key)))
+    );
+
+    const images = {};
+    records.forEach((record) => {
+      if (record) images[record.key] = record.image;
+    });
+    return images;
+  }
+
+  /**
+   * Lists stored sessions, most recently updated first
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    const store = await this._getStore("readonly");
+    const sessions = await requestToPromise(store.getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @returns {Promise<object|undefined>}
+   */
+  async get(id) {
+    const store = await this._getStore("readonly");
+    return requestToPromise(store.get(id));
+  }
+
+  /**
+   * @private
+   */
+  async _prune() {
+    const sessions = await this.list();
+    if (sessions.length <= MAX_SESSIONS) return;
+
+    const store = await this._getStore("readwrite");
+    await Promise.all(
+      sessions
+        .slice(MAX_SESSIONS)
+        .map((session) => requestToPromise(store.delete(session.id)))
+    );
+
+    // Drop the images no remaining session references
+    const referenced = new Set();
+    sessions
+      .slice(0, MAX_SESSIONS)
+      .forEach((session) =>
+        (session.imageKeys || []).forEach((key) => referenced.add(key))
+      );
+    const imageStore = await this._getStore("readwrite", IMAGE_STORE_NAME);
+    const keys = await requestToPromise(imageStore.getAllKeys());
+    await Promise.all(
+      keys
+        .filter((key) => !referenced.has(key))
+        .map((key) => requestToPromise(imageStore.delete(key)))
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _getStore(mode, name = STORE_NAME) {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: "id" });
+          }
+          if (!db.objectStoreNames.contains(IMAGE_STORE_NAME)) {
+            db.createObjectStore(IMAGE_STORE_NAME, { keyPath: "key" });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    const db = await this.dbPromise;
+    return db.transaction(name, mode).objectStore(name);
+  }
+}
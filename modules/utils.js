@@ -46,6 +46,17 @@ export class Utils {
     document.body.removeChild(link);
   }
 
+  /**
+   * Download a Blob as a file
+   * @param {Blob} blob - Blob to download
+   * @param {string} filename - Filename for download
+   */
+  static downloadBlob(blob, filename = "download") {
+    const url = URL.createObjectURL(blob);
+    Utils.downloadDataURL(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Map a value from one range to another
    * @param {number} value - Input value
@@ -163,6 +174,31 @@ export class Utils {
     return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
   }
 
+  /**
+   * Compute the CRC-32 checksum used by PNG chunks and ZIP entries
+   * @param {Uint8Array} bytes - Data to checksum
+   * @param {number} crc - Running checksum to continue from
+   * @returns {number} - Unsigned 32-bit checksum
+   */
+  static crc32(bytes, crc = 0) {
+    if (!Utils._crcTable) {
+      Utils._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        Utils._crcTable[n] = c;
+      }
+    }
+
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      c = Utils._crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
   /**
    * Get the current timestamp in a readable format
    * @returns {string}
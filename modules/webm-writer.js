@@ -0,0 +1,225 @@
+/**
+ * WebM Writer Module
+ * Minimal Matroska/WebM muxer for a single track of encoded video chunks
+ */
+
+const EBML_ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  CodecID: 0x86,
+  TrackType: 0x83,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+// Block timecodes are signed 16-bit offsets from the cluster timecode (ms)
+const MAX_CLUSTER_DURATION = 30000;
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function encodeId(id) {
+  const bytes = [];
+  let value = id;
+  while (value > 0) {
+    bytes.unshift(value & 0xff);
+    value = Math.floor(value / 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+function encodeSize(size) {
+  let length = 1;
+  while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+    length++;
+  }
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function encodeUint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining % 256);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+  return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function encodeString(value) {
+  return new TextEncoder().encode(value);
+}
+
+function element(id, payload) {
+  const data = Array.isArray(payload) ? concatBytes(payload) : payload;
+  return concatBytes([encodeId(id), encodeSize(data.length), data]);
+}
+
+export class WebMWriter {
+  /**
+   * @param {object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {string} options.codecId - Matroska codec ID ("V_VP9" or "V_VP8")
+   * @param {number} options.frameRate - Frames per second
+   */
+  constructor({ width, height, codecId, frameRate }) {
+    this.width = width;
+    this.height = height;
+    this.codecId = codecId;
+    this.frameRate = frameRate;
+
+    this.clusters = [];
+    this.currentBlocks = [];
+    this.currentClusterTimecode = null;
+    this.lastTimecode = 0;
+  }
+
+  /**
+   * Adds an EncodedVideoChunk produced by a WebCodecs VideoEncoder
+   * @param {EncodedVideoChunk} chunk
+   */
+  addChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+
+    const timecode = Math.round(chunk.timestamp / 1000);
+    const isKeyFrame = chunk.type === "key";
+
+    if (
+      this.currentClusterTimecode === null ||
+      isKeyFrame ||
+      timecode - this.currentClusterTimecode >= MAX_CLUSTER_DURATION
+    ) {
+      this._flushCluster();
+      this.currentClusterTimecode = timecode;
+    }
+
+    const relativeTimecode = timecode - this.currentClusterTimecode;
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // Track number 1 as a 1-byte vint
+    new DataView(header.buffer).setInt16(1, relativeTimecode);
+    header[3] = isKeyFrame ? 0x80 : 0x00;
+
+    this.currentBlocks.push(
+      element(EBML_ID.SimpleBlock, concatBytes([header, data]))
+    );
+    this.lastTimecode = timecode;
+  }
+
+  /**
+   * Writes all headers and clusters into a WebM blob
+   * @returns {Blob}
+   */
+  finalize() {
+    this._flushCluster();
+
+    const frameDuration = 1000 / this.frameRate;
+
+    const ebmlHeader = element(EBML_ID.EBML, [
+      element(EBML_ID.EBMLVersion, encodeUint(1)),
+      element(EBML_ID.EBMLReadVersion, encodeUint(1)),
+      element(EBML_ID.EBMLMaxIDLength, encodeUint(4)),
+      element(EBML_ID.EBMLMaxSizeLength, encodeUint(8)),
+      element(EBML_ID.DocType, encodeString("webm")),
+      element(EBML_ID.DocTypeVersion, encodeUint(2)),
+      element(EBML_ID.DocTypeReadVersion, encodeUint(2)),
+    ]);
+
+    const info = element(EBML_ID.Info, [
+      element(EBML_ID.TimecodeScale, encodeUint(1000000)),
+      element(EBML_ID.MuxingApp, encodeString("Cinetizer Tool")),
+      element(EBML_ID.WritingApp, encodeString("Cinetizer Tool")),
+      element(EBML_ID.Duration, encodeFloat(this.lastTimecode + frameDuration)),
+    ]);
+
+    const tracks = element(EBML_ID.Tracks, [
+      element(EBML_ID.TrackEntry, [
+        element(EBML_ID.TrackNumber, encodeUint(1)),
+        element(EBML_ID.TrackUID, encodeUint(1)),
+        element(EBML_ID.CodecID, encodeString(this.codecId)),
+        element(EBML_ID.TrackType, encodeUint(1)),
+        element(
+          EBML_ID.DefaultDuration,
+          encodeUint(Math.round(frameDuration * 1000000))
+        ),
+        element(EBML_ID.Video, [
+          element(EBML_ID.PixelWidth, encodeUint(this.width)),
+          element(EBML_ID.PixelHeight, encodeUint(this.height)),
+        ]),
+      ]),
+    ]);
+
+    const segmentSize =
+      info.length +
+      tracks.length +
+      this.clusters.reduce((sum, cluster) => sum + cluster.length, 0);
+    const segmentHeader = concatBytes([
+      encodeId(EBML_ID.Segment),
+      encodeSize(segmentSize),
+    ]);
+
+    return new Blob(
+      [ebmlHeader, segmentHeader, info, tracks, ...this.clusters],
+      { type: "video/webm" }
+    );
+  }
+
+  /**
+   * Closes the cluster being written, if it holds any blocks
+   * @private
+   */
+  _flushCluster() {
+    if (this.currentBlocks.length === 0) return;
+
+    this.clusters.push(
+      element(EBML_ID.Cluster, [
+        element(EBML_ID.Timecode, encodeUint(this.currentClusterTimecode)),
+        ...this.currentBlocks,
+      ])
+    );
+    this.currentBlocks = [];
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * ZIP Writer Module
+ * Builds uncompressed (stored) ZIP archives in memory
+ */
+
+import { Utils } from "./utils.js";
+
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.parts = [];
+    this.offset = 0;
+    this.modified = toDosDateTime(new Date());
+  }
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {Uint8Array|string} content - File contents (strings are UTF-8 encoded)
+   */
+  addFile(name, content) {
+    const data =
+      typeof content === "string" ? new TextEncoder().encode(content) : content;
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = Utils.crc32(data);
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // Local file header signature
+    view.setUint16(4, 20, true); // Version needed to extract
+    view.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+    view.setUint16(8, 0, true); // Compression: stored
+    view.setUint16(10, this.modified.time, true);
+    view.setUint16(12, this.modified.date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, data.length, true);
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true);
+    header.set(nameBytes, 30);
+
+    this.entries.push({
+      nameBytes,
+      crc,
+      size: data.length,
+      offset: this.offset,
+    });
+    this.parts.push(header, data);
+    this.offset += header.length + data.length;
+  }
+
+  /**
+   * Writes the central directory and returns the archive
+   * @returns {Blob}
+   */
+  finish() {
+    const directoryOffset = this.offset;
+    let directorySize = 0;
+
+    this.entries.forEach((entry) => {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014b50, true); // Central directory signature
+      view.setUint16(4, 20, true); // Version made by
+      view.setUint16(6, 20, true); // Version needed to extract
+      view.setUint16(8, 0x0800, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, this.modified.time, true);
+      view.setUint16(14, this.modified.date, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+
+      this.parts.push(record);
+      directorySize += record.length;
+    });
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true); // End of central directory signature
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+    this.parts.push(end);
+
+    return new Blob(this.parts, { type: "application/zip" });
+  }
+}
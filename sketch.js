@@ -1,5 +1,9 @@
 import gui from "./gui.js";
-import { getDefaultParameters, GUI_CONFIG } from "./modules/config.js";
+import {
+  getDefaultParameters,
+  clampParameter,
+  GUI_CONFIG,
+} from "./modules/config.js";
 import {
   drawImageCover,
   drawImageContain,
@@ -10,24 +14,69 @@ import {
 import { CutManager } from "./modules/cut-manager.js";
 import { RenderEngine } from "./modules/render-engine.js";
 import { CacheManager } from "./modules/cache-manager.js";
+import {
+  ExportManager,
+  VIDEO_FRAME_RATE,
+  MAX_EXPORT_SIZE,
+} from "./modules/export-manager.js";
+import {
+  serializeProject,
+  parseProject,
+  PROJECT_EXTENSION,
+} from "./modules/project-io.js";
+import { SessionStore } from "./modules/session-store.js";
+import { HistoryManager } from "./modules/history-manager.js";
 import { Utils } from "./modules/utils.js";
+import { getRingCount, getRingDiameters } from "./modules/ring-distribution.js";
 
 let params = getDefaultParameters();
 
+const AUTOSAVE_DELAY = 1000; // ms of inactivity before the session is written
+const SESSION_THUMBNAIL_SIZE = 160;
+
+// On-canvas cut handles, in canvas pixels
+const HANDLE_SIZE = 10;
+const CENTER_HANDLE_TOLERANCE = 20;
+const ROTATE_HANDLE_OFFSET = 24; // Distance of the rotate handle beyond the rim
+const HANDLE_CURSORS = {
+  move: "move",
+  resize: "ew-resize",
+  rotate: "grab",
+  source: "crosshair",
+};
+
 export default function sketch(p) {
   let loadedImage = null;
+  let loadedImageSource = null; // { dataUrl } or { url }, kept for projects
+  let fillImage = null; // Optional second picture the rings can show
+  let fillImageSource = null; // Like loadedImageSource
   let canvasElement = null;
   let buffer = null;
   let imgLayer = null;
   let display = null;
+  let compositeLayer = null; // Image plus the cuts below, for nested cuts
+  let cutLayer = null; // The active cut alone, when it has a blend mode
 
   let showCursorPreview = false;
+  let dragState = null; // { mode, cutId, offsetX, offsetY } while dragging a cut
   let cursorX = 0;
   let cursorY = 0;
 
   const cutManager = new CutManager();
   const renderEngine = new RenderEngine(p);
   const cacheManager = new CacheManager();
+  const exportManager = new ExportManager();
+  const sessionStore = new SessionStore();
+  const historyManager = new HistoryManager();
+
+  let committedState = null; // Snapshot after the last recorded history step
+  let historySuspended = 0;
+
+  let sessionId = null;
+  let autosaveTimer = null;
+  // Image sources → key of their payload in the session store, so each image
+  // is written once rather than with every autosave
+  const sessionImageKeys = new WeakMap();
 
   let rotationTransitionStart = null;
   let rotationTransitionDuration = 1000;
@@ -38,6 +87,12 @@ export default function sketch(p) {
   let lastPatternPosY = null;
   let lastPatternZoom = null;
 
+  let fillLayer = null;
+  let fillImg = null; // The fill image framed on the canvas, like patternImg
+  let lastFillPosX = null;
+  let lastFillPosY = null;
+  let lastFillZoom = null;
+
   let lastCutSize = null;
   let lastSliceAmount = null;
   let lastRotationAmount = null;
@@ -51,6 +106,7 @@ export default function sketch(p) {
   let slice = 50;
   let rotAmt = 10;
   const speed = 0.004; // Fixed constant speed
+  const SPEED_PRECISION = 1e6; // Rotation speeds are compared in these steps
   let fps = 60;
 
   p.setup = function () {
@@ -71,18 +127,32 @@ export default function sketch(p) {
 
     gui.connectSketch({
       onImageLoaded: handleImageLoaded,
+      onFillImageLoaded: handleFillImageLoaded,
+      removeFillImage: handleRemoveFillImage,
       onParameterChange: handleParameterChange,
       saveCanvas: handleSave,
+      exportVideo: handleExportVideo,
+      exportAnimation: handleExportAnimation,
       resetImage: handleReset,
-      removeActiveCut: () => cutManager.removeActiveCut(),
-      getCutsInfo: () => cutManager.getCutsInfo(),
-      hasActiveCut: () => cutManager.hasActiveCut(),
-      getCutIndices: () => cutManager.getCutIndices(),
-      selectCutSlot: (slotIndex) => {
-        const wasChanged = cutManager.selectCutSlot(slotIndex);
+      saveProject: handleSaveProject,
+      openProject: handleOpenProject,
+      restoreSession: handleRestoreSession,
+      undo: () => applyHistoryState(historyManager.undo()),
+      redo: () => applyHistoryState(historyManager.redo()),
+      getCuts: () => cutManager.getCuts(),
+      addCut: handleAddCut,
+      removeCut: handleRemoveCut,
+      renameCut: handleRenameCut,
+      reorderCut: handleReorderCut,
+      getRingAngles: () =>
+        renderEngine.getRingAngles(gui.getEditedCutParameters()),
+      selectCut: (cutId) => {
+        const wasChanged = cutManager.selectCut(cutId);
         if (wasChanged) {
           rotationTransitionStart = p.millis();
-          cacheManager.invalidateSlot(slotIndex);
+          cacheManager.invalidateCut(cutId);
+          // The size limit depends on the cut's edge policy
+          withHistorySuspended(updateCutSizeSliderBounds);
         }
         lastCutSize = null;
         lastSliceAmount = null;
@@ -93,9 +163,24 @@ export default function sketch(p) {
         lastPatternPosY = null;
         lastPatternZoom = null;
         patternImg = null;
+        scheduleAutosave();
       },
     });
 
+    resetHistory();
+
+    if (sessionStore.isSupported()) {
+      sessionStore
+        .list()
+        .then((sessions) => gui.showRecentSessions(sessions))
+        .catch((error) => console.warn("Could not read sessions:", error));
+
+      // Best effort: write any pending edits before the tab goes away
+      window.addEventListener("pagehide", () => {
+        if (autosaveTimer !== null) autosaveSession();
+      });
+    }
+
     window.addEventListener("resize", () =>
       Utils.scaleCanvasToFit(
         canvasElement,
@@ -109,7 +194,10 @@ export default function sketch(p) {
 
   p.draw = function () {
     let posBounds, posX, posY;
-    if ((p.key === "h" || p.key === "H") && p.keyIsPressed) {
+    // Typing a cut name must not toggle the guides
+    const isTyping =
+      document.activeElement && document.activeElement.type === "text";
+    if ((p.key === "h" || p.key === "H") && p.keyIsPressed && !isTyping) {
       showGuideCircle = !showGuideCircle;
       p.key = "";
     }
@@ -202,6 +290,7 @@ export default function sketch(p) {
 
         p.imageMode(p.CORNER);
         p.image(display, 0, 0, p.width, p.height);
+        if (showGuideCircle) drawCutHandles();
 
         if (showCursorPreview) {
           const coverDims = calculateCoverDimensions(
@@ -239,15 +328,18 @@ export default function sketch(p) {
           const imageTop = imageCenterY - zoomedImageHeight / 2;
           const imageBottom = imageCenterY + zoomedImageHeight / 2;
 
-          const previewCutParams = gui.getParametersForSlot(
-            cutManager.getSelectedCutSlot()
+          const previewCutParams = gui.getParametersForCut(
+            cutManager.getSelectedCutId()
           );
           let previewCutSize = Math.max(1, previewCutParams.cutSize || 300);
           const maxAllowedDiameter = Math.min(
             zoomedImageWidth,
             zoomedImageHeight
           );
-          if (previewCutSize > maxAllowedDiameter) {
+          if (
+            !allowsOverhang(previewCutParams) &&
+            previewCutSize > maxAllowedDiameter
+          ) {
             previewCutSize = maxAllowedDiameter;
           }
 
@@ -258,7 +350,9 @@ export default function sketch(p) {
           const ringThickness = previewCutSize / previewSliceAmount;
           const adjustedPreviewSize = previewCutSize - ringThickness;
 
-          const cutSizeRadius = adjustedPreviewSize / 2;
+          const cutSizeRadius = allowsOverhang(previewCutParams)
+            ? 0
+            : adjustedPreviewSize / 2;
 
           const clampedCursorX = Math.max(
             imageLeft + cutSizeRadius,
@@ -273,11 +367,11 @@ export default function sketch(p) {
             p.stroke(255, 0, 0);
             p.strokeWeight(1);
             p.noFill();
-            p.ellipse(
+            drawCutOutline(
               clampedCursorX,
               clampedCursorY,
               adjustedPreviewSize,
-              adjustedPreviewSize
+              previewCutParams
             );
           }
         }
@@ -311,36 +405,17 @@ export default function sketch(p) {
         params.imageZoom
       );
 
-      const needsPatternUpdate =
-        lastPatternPosX !== posX ||
-        lastPatternPosY !== posY ||
-        lastPatternZoom !== params.imageZoom;
-
-      if (needsPatternUpdate) {
-        imgLayer.clear();
-        drawImageCover(
-          imgLayer,
-          loadedImage,
-          imgLayer.width,
-          imgLayer.height,
-          posX,
-          posY,
-          params.imageZoom
-        );
-
-        patternImg = imgLayer.get();
-
-        lastPatternPosX = posX;
-        lastPatternPosY = posY;
-        lastPatternZoom = params.imageZoom;
-      }
+      updatePatternImage(posX, posY);
+      updateFillImage();
 
+      // Cuts are composited over the image, so blend modes have a backdrop
       display.clear();
+      display.image(patternImg, 0, 0, p.width, p.height);
 
       const angle = p.map(p.sin(p.frameCount * speed), -1, 1, -rotAmt, rotAmt);
 
-      const selectedCutParams = gui.getParametersForSlot(
-        cutManager.getSelectedCutSlot()
+      const selectedCutParams = gui.getParametersForCut(
+        cutManager.getSelectedCutId()
       );
       let cutSize = Math.max(1, selectedCutParams.cutSize || 300);
       const sliceAmount = Math.max(
@@ -363,7 +438,10 @@ export default function sketch(p) {
           zoomedImageWidth,
           zoomedImageHeight
         );
-        if (cutSize > maxAllowedDiameter) {
+        if (
+          !allowsOverhang(selectedCutParams) &&
+          cutSize > maxAllowedDiameter
+        ) {
           cutSize = maxAllowedDiameter;
         }
       }
@@ -371,24 +449,6 @@ export default function sketch(p) {
       const ringThickness = cutSize / sliceAmount;
 
       if (cutManager.getCuts().length > 0) {
-        const coverDims = calculateCoverDimensions(
-          loadedImage.width,
-          loadedImage.height,
-          p.width,
-          p.height
-        );
-
-        const zoomedImageWidth = coverDims.width * params.imageZoom;
-        const zoomedImageHeight = coverDims.height * params.imageZoom;
-
-        const imageCenterX = p.width / 2 + posX;
-        const imageCenterY = p.height / 2 + posY;
-
-        const imageLeft = imageCenterX - zoomedImageWidth / 2;
-        const imageRight = imageCenterX + zoomedImageWidth / 2;
-        const imageTop = imageCenterY - zoomedImageHeight / 2;
-        const imageBottom = imageCenterY + zoomedImageHeight / 2;
-
         const rotationAmount =
           params.rotationAmount !== undefined ? params.rotationAmount : rotAmt;
         const rotationSpeed = params.rotationSpeed || speed;
@@ -412,52 +472,40 @@ export default function sketch(p) {
           }
         }
 
-        const selectedCutSlot = cutManager.getSelectedCutSlot();
-        cacheManager.handleActiveCutSlotChange(selectedCutSlot);
+        const selectedCutId = cutManager.getSelectedCutId();
+        cacheManager.handleActiveCutChange(selectedCutId);
+
+        // Set once anything below the current cut has been drawn afresh, so
+        // cached cuts that sample the composite know to re-render
+        let belowChanged = false;
 
         const cuts = cutManager.getCuts();
         for (let cutIdx = 0; cutIdx < cuts.length; cutIdx++) {
           const cut = cuts[cutIdx];
-          const isActiveCut = cut.slotIndex === selectedCutSlot;
-          const slotIndex = cut.slotIndex;
-
-          const cutParams = gui.getParametersForSlot(slotIndex);
-
-          let cutSize = Math.max(1, cutParams.cutSize || 300);
-          const cutSliceAmount = Math.max(
-            1,
-            Math.floor(cutParams.sliceAmount || 10)
-          );
-
-          if (loadedImage) {
-            const maxAllowedDiameter = Math.min(
-              zoomedImageWidth,
-              zoomedImageHeight
-            );
-            if (cutSize > maxAllowedDiameter) {
-              cutSize = maxAllowedDiameter;
-            }
-          }
-
+          const isActiveCut = cut.id === selectedCutId;
+
+          const cutParams = gui.getParametersForCut(cut.id);
+          const placement = getCutPlacement(cut, cutParams, posX, posY);
+          const {
+            centerX: clampedCenterX,
+            centerY: clampedCenterY,
+            cutSize,
+            sliceAmount: cutSliceAmount,
+          } = placement;
           const maxDiameter = cutSize;
-          const maxRadius = maxDiameter / 2;
-
-          const canvasSpaceX = imageCenterX + cut.centerX * params.imageZoom;
-          const canvasSpaceY = imageCenterY + cut.centerY * params.imageZoom;
-
-          const clampedCenterX = Math.max(
-            imageLeft + maxRadius,
-            Math.min(imageRight - maxRadius, canvasSpaceX)
-          );
-          const clampedCenterY = Math.max(
-            imageTop + maxRadius,
-            Math.min(imageBottom - maxRadius, canvasSpaceY)
-          );
 
           if (isActiveCut) {
+            const source = getCutSource(cutParams);
+            let cutTarget = display;
+            if (!isPlainComposite(cutParams)) {
+              cutLayer = fitToCanvas(cutLayer);
+              cutLayer.clear();
+              cutTarget = cutLayer;
+            }
+
             renderEngine.renderCutSlices(
-              display,
-              patternImg,
+              cutTarget,
+              source,
               imgLayer,
               clampedCenterX,
               clampedCenterY,
@@ -469,31 +517,31 @@ export default function sketch(p) {
               cutParams.animated,
               rotationProgress,
               true,
-              cutParams
+              cutParams,
+              getEdgeSource(cutParams)
             );
+            if (cutTarget !== display) {
+              drawCutLayer(display, cutTarget, cutParams);
+            }
+            belowChanged = true;
           } else {
             const cacheKey = cacheManager.createCacheKey(
-              clampedCenterX,
-              clampedCenterY,
-              maxDiameter,
-              cutSliceAmount,
-              cutSize,
-              cutParams.rotationAmount,
-              cutParams.rotationSpeed,
-              cutParams.animated,
-              cutParams.rotationMethod
+              placement,
+              cutParams,
+              cutParams.sampleComposite
+                ? cuts.slice(0, cutIdx).map((below) => below.id)
+                : null
             );
 
-            const needsCacheUpdate = cacheManager.needsCacheUpdate(
-              slotIndex,
-              cacheKey
-            );
+            const needsCacheUpdate =
+              cacheManager.needsCacheUpdate(cut.id, cacheKey) ||
+              (cutParams.sampleComposite && belowChanged);
 
             if (needsCacheUpdate) {
               renderEngine.renderCutSlicesToBuffer(
                 cacheManager.getCaches(),
-                slotIndex,
-                patternImg,
+                cut.id,
+                getCutSource(cutParams),
                 imgLayer,
                 clampedCenterX,
                 clampedCenterY,
@@ -504,14 +552,16 @@ export default function sketch(p) {
                 cutParams.rotationSpeed,
                 cutParams.animated,
                 1.0,
-                cutParams
+                cutParams,
+                getEdgeSource(cutParams)
               );
-              cacheManager.updateCacheParams(slotIndex, cacheKey);
+              cacheManager.updateCacheParams(cut.id, cacheKey);
+              belowChanged = true;
             }
 
-            const cachedGraphics = cacheManager.getCache(slotIndex);
+            const cachedGraphics = cacheManager.getCache(cut.id);
             if (cachedGraphics) {
-              display.image(cachedGraphics, 0, 0);
+              drawCutLayer(display, cachedGraphics, cutParams);
             }
           }
         }
@@ -528,6 +578,7 @@ export default function sketch(p) {
 
       p.imageMode(p.CORNER);
       p.image(display, 0, 0, p.width, p.height);
+      if (showGuideCircle) drawCutHandles();
 
       if (showCursorPreview) {
         const coverDims = calculateCoverDimensions(
@@ -548,15 +599,18 @@ export default function sketch(p) {
         const imageTop = imageCenterY - zoomedImageHeight / 2;
         const imageBottom = imageCenterY + zoomedImageHeight / 2;
 
-        const previewCutParams2 = gui.getParametersForSlot(
-          cutManager.getSelectedCutSlot()
+        const previewCutParams2 = gui.getParametersForCut(
+          cutManager.getSelectedCutId()
         );
         let previewCutSize = Math.max(1, previewCutParams2.cutSize || 300);
         const maxAllowedDiameter = Math.min(
           zoomedImageWidth,
           zoomedImageHeight
         );
-        if (previewCutSize > maxAllowedDiameter) {
+        if (
+          !allowsOverhang(previewCutParams2) &&
+          previewCutSize > maxAllowedDiameter
+        ) {
           previewCutSize = maxAllowedDiameter;
         }
 
@@ -567,7 +621,9 @@ export default function sketch(p) {
         const ringThickness = previewCutSize / sliceAmount;
         const adjustedPreviewSize = previewCutSize - ringThickness;
 
-        const maxRadius = adjustedPreviewSize / 2;
+        const maxRadius = allowsOverhang(previewCutParams2)
+          ? 0
+          : adjustedPreviewSize / 2;
 
         const clampedCursorX = Math.max(
           imageLeft + maxRadius,
@@ -582,11 +638,11 @@ export default function sketch(p) {
           p.stroke(255, 0, 0);
           p.strokeWeight(1);
           p.noFill();
-          p.ellipse(
+          drawCutOutline(
             clampedCursorX,
             clampedCursorY,
             adjustedPreviewSize,
-            adjustedPreviewSize
+            previewCutParams2
           );
         }
       }
@@ -609,13 +665,46 @@ export default function sketch(p) {
       ) {
         cursorX = p.mouseX;
         cursorY = p.mouseY;
-        showCursorPreview = true;
+
+        // Hovering a handle shows what dragging it does, instead of the
+        // placement preview
+        const hovered = hitTestCutHandles(p.mouseX, p.mouseY);
+        canvasElement.style.cursor = hovered
+          ? HANDLE_CURSORS[hovered.mode]
+          : "";
+        showCursorPreview = !hovered;
       } else {
+        canvasElement.style.cursor = "";
         showCursorPreview = false;
       }
     }
   };
 
+  p.mouseDragged = function () {
+    if (!dragState) return;
+
+    updateCutDrag(p.mouseX, p.mouseY);
+    return false;
+  };
+
+  p.mouseReleased = function () {
+    if (!dragState) return;
+
+    const labels = {
+      move: "Move cut",
+      resize: "Resize cut",
+      rotate: "Rotate cut",
+      source: "Move cut source",
+    };
+    const label = labels[dragState.mode];
+    dragState = null;
+
+    // The whole drag is one undo step
+    historySuspended--;
+    recordHistory(label);
+    scheduleAutosave();
+  };
+
   p.mousePressed = function () {
     let posBounds, posX, posY;
     const canvasRect = canvasElement.getBoundingClientRect();
@@ -687,6 +776,13 @@ export default function sketch(p) {
       p.mouseY >= 0 &&
       p.mouseY <= p.height
     ) {
+      // Grabbing a handle or an existing cut's center edits that cut
+      const grabbed = hitTestCutHandles(p.mouseX, p.mouseY);
+      if (grabbed) {
+        beginCutDrag(grabbed);
+        return false;
+      }
+
       posBounds = calculatePositionBounds(
         loadedImage.width,
         loadedImage.height,
@@ -722,10 +818,12 @@ export default function sketch(p) {
       const imageTop = imageCenterY - zoomedImageHeight / 2;
       const imageBottom = imageCenterY + zoomedImageHeight / 2;
 
-      const selectedCutParamsForClick = gui.getParametersForSlot(
-        cutManager.getSelectedCutSlot()
+      const selectedCutParamsForClick = gui.getParametersForCut(
+        cutManager.getSelectedCutId()
       );
-      const cutSizeRadius = selectedCutParamsForClick.cutSize / 2;
+      const cutSizeRadius = allowsOverhang(selectedCutParamsForClick)
+        ? 0
+        : selectedCutParamsForClick.cutSize / 2;
 
       const clampedClickX = Math.max(
         imageLeft + cutSizeRadius,
@@ -739,47 +837,1301 @@ export default function sketch(p) {
       const imageSpaceX = (clampedClickX - imageCenterX) / params.imageZoom;
       const imageSpaceY = (clampedClickY - imageCenterY) / params.imageZoom;
 
-      cutManager.placeCutInSlot(
-        cutManager.getSelectedCutSlot(),
-        imageSpaceX,
-        imageSpaceY
-      );
-      console.log(`Cut placed in slot ${cutManager.getSelectedCutSlot()}`);
-
-      rotationTransitionStart = p.millis();
+      addCutAt(imageSpaceX, imageSpaceY);
       showCursorPreview = false;
       return false;
     }
   };
 
-  function handleImageLoaded(imageDataUrl) {
-    p.loadImage(imageDataUrl, (img) => {
-      loadedImage = img;
-      console.log("Image loaded:", img.width, "x", img.height);
+  /**
+   * Redraws the untouched image layer that cuts sample from, when the image
+   * position or zoom has changed since it was last captured
+   */
+  function updatePatternImage(posX, posY) {
+    const needsPatternUpdate =
+      lastPatternPosX !== posX ||
+      lastPatternPosY !== posY ||
+      lastPatternZoom !== params.imageZoom;
+
+    if (!needsPatternUpdate) return;
+
+    imgLayer.clear();
+    drawImageCover(
+      imgLayer,
+      loadedImage,
+      imgLayer.width,
+      imgLayer.height,
+      posX,
+      posY,
+      params.imageZoom
+    );
 
-      patternImg = null;
-      lastPatternPosX = null;
-      lastPatternPosY = null;
-      lastPatternZoom = null;
+    patternImg = imgLayer.get();
 
-      cacheManager.reset();
+    lastPatternPosX = posX;
+    lastPatternPosY = posY;
+    lastPatternZoom = params.imageZoom;
+  }
 
-      display.clear();
-      lastCutSize = null;
-      lastSliceAmount = null;
-      lastRotationAmount = null;
-      lastRotationMethod = null;
-      lastDisplayPosX = null;
-      lastDisplayPosY = null;
-      lastDisplayZoom = null;
+  /**
+   * Redraws the fill image layer when its framing has changed, as
+   * updatePatternImage does for the image
+   */
+  function updateFillImage() {
+    if (!fillImage) return;
+
+    const needsFillUpdate =
+      fillImg === null ||
+      lastFillPosX !== params.fillPosX ||
+      lastFillPosY !== params.fillPosY ||
+      lastFillZoom !== params.fillZoom;
+
+    if (!needsFillUpdate) return;
+
+    fillLayer = fitToCanvas(fillLayer);
+    fillLayer.clear();
+    drawImageCover(
+      fillLayer,
+      fillImage,
+      fillLayer.width,
+      fillLayer.height,
+      params.fillPosX,
+      params.fillPosY,
+      params.fillZoom
+    );
 
-      cutManager.clearAllCuts();
-      rotationTransitionStart = null;
+    fillImg = fillLayer.get();
 
-      updateZoomSliderBounds();
-      updatePositionSliderBounds();
-      updateCutSizeSliderBounds();
+    lastFillPosX = params.fillPosX;
+    lastFillPosY = params.fillPosY;
+    lastFillZoom = params.fillZoom;
+  }
+
+  /**
+   * Whether a cut's rings show the fill image rather than the image
+   */
+  function usesFillImage(cutParams) {
+    return (
+      fillImage !== null &&
+      cutParams.ringSource === "fill" &&
+      !cutParams.sampleComposite
+    );
+  }
+
+  /**
+   * Picks the layer a cut samples from: the untouched image or fill image,
+   * or for cuts set to sample the cuts below, a copy of the display so far
+   * (the image with the cuts below composited onto it)
+   */
+  function getCutSource(cutParams) {
+    if (usesFillImage(cutParams)) return fillImg;
+    if (!cutParams.sampleComposite) return patternImg;
+
+    compositeLayer = fitToCanvas(compositeLayer);
+    compositeLayer.clear();
+    compositeLayer.image(display, 0, 0);
+    return compositeLayer;
+  }
+
+  /**
+   * The whole picture a cut samples, with where it is drawn on a layer
+   * `scale` times the canvas size, so cuts past the canvas edges can reach
+   * the rest of it (see RenderEngine._extendSource). Null for cuts that
+   * sample the cuts below.
+   */
+  function getEdgeSource(cutParams, scale = 1) {
+    if (cutParams.sampleComposite) return null;
+
+    const useFill = usesFillImage(cutParams);
+    const image = useFill ? fillImage : loadedImage;
+    const { posX, posY } = useFill
+      ? { posX: params.fillPosX, posY: params.fillPosY }
+      : getClampedImagePosition();
+    const zoom = useFill ? params.fillZoom : params.imageZoom;
+    const dims = calculateCoverDimensions(
+      image.width,
+      image.height,
+      p.width,
+      p.height
+    );
+    const width = dims.width * zoom * scale;
+    const height = dims.height * zoom * scale;
+
+    return {
+      image,
+      x: (p.width / 2 + posX) * scale - width / 2,
+      y: (p.height / 2 + posY) * scale - height / 2,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Returns `layer` if it matches the canvas size, or else a new layer that
+   * does (freeing the old one)
+   */
+  function fitToCanvas(layer) {
+    if (layer && layer.width === p.width && layer.height === p.height) {
+      return layer;
+    }
+    if (layer) layer.remove();
+    return p.createGraphics(p.width, p.height);
+  }
+
+  /**
+   * Whether a cut can be drawn straight onto what is beneath it, with no
+   * blend mode or opacity to apply
+   */
+  function isPlainComposite(cutParams) {
+    return (
+      (cutParams.cutBlendMode || "source-over") === "source-over" &&
+      (cutParams.cutOpacity === undefined || cutParams.cutOpacity >= 1)
+    );
+  }
+
+  /**
+   * Composites a layer holding one cut onto `target` with the cut's blend
+   * mode and opacity
+   */
+  function drawCutLayer(target, layer, cutParams) {
+    const ctx = target.drawingContext;
+    ctx.save();
+    ctx.globalCompositeOperation = cutParams.cutBlendMode || "source-over";
+    ctx.globalAlpha =
+      cutParams.cutOpacity !== undefined ? cutParams.cutOpacity : 1;
+    target.image(layer, 0, 0, target.width, target.height);
+    ctx.restore();
+  }
+
+  /**
+   * Whether a cut may reach past the edge of the image (see edgePolicy in
+   * config.js)
+   */
+  function allowsOverhang(cutParams) {
+    return (cutParams.edgePolicy || "inside") !== "inside";
+  }
+
+  /**
+   * Resolves a cut's canvas-space center and size, clamped so the full
+   * diameter stays inside the image, or for cuts that may overhang, so the
+   * center does
+   */
+  function getCutPlacement(cut, cutParams, posX, posY) {
+    const coverDims = calculateCoverDimensions(
+      loadedImage.width,
+      loadedImage.height,
+      p.width,
+      p.height
+    );
+
+    const zoomedImageWidth = coverDims.width * params.imageZoom;
+    const zoomedImageHeight = coverDims.height * params.imageZoom;
+
+    const imageCenterX = p.width / 2 + posX;
+    const imageCenterY = p.height / 2 + posY;
+
+    let cutSize = Math.max(1, cutParams.cutSize || 300);
+    const sliceAmount = getRingCount(cutParams);
+
+    // Overhanging cuts only keep their center on the image
+    const overhang = allowsOverhang(cutParams);
+    const maxAllowedDiameter = Math.min(zoomedImageWidth, zoomedImageHeight);
+    if (!overhang && cutSize > maxAllowedDiameter) {
+      cutSize = maxAllowedDiameter;
+    }
+
+    const extent = overhang
+      ? { halfWidth: 0, halfHeight: 0 }
+      : getCutExtent(cutSize, sliceAmount, cutParams);
+
+    const canvasSpaceX = imageCenterX + cut.centerX * params.imageZoom;
+    const canvasSpaceY = imageCenterY + cut.centerY * params.imageZoom;
+
+    // A cut wider than the image along an axis is centered on it there
+    const clampAxis = (value, imageCenter, imageSize, half) =>
+      half * 2 > imageSize
+        ? imageCenter
+        : Math.max(
+            imageCenter - imageSize / 2 + half,
+            Math.min(imageCenter + imageSize / 2 - half, value)
+          );
+
+    return {
+      centerX: clampAxis(
+        canvasSpaceX,
+        imageCenterX,
+        zoomedImageWidth,
+        extent.halfWidth
+      ),
+      centerY: clampAxis(
+        canvasSpaceY,
+        imageCenterY,
+        zoomedImageHeight,
+        extent.halfHeight
+      ),
+      cutSize,
+      sliceAmount,
+    };
+  }
+
+  /**
+   * Half the width and height of the box around a cut: its circle, or for
+   * strip cuts the turned strip region, which can be wider than the cut size
+   */
+  function getCutExtent(cutSize, sliceAmount, cutParams) {
+    if (cutParams.cutType !== "strips") {
+      return { halfWidth: cutSize / 2, halfHeight: cutSize / 2 };
+    }
+
+    const layout = renderEngine.getStripLayout(cutSize, sliceAmount, cutParams);
+    const cos = Math.abs(Math.cos(layout.angle));
+    const sin = Math.abs(Math.sin(layout.angle));
+    const regionWidth = layout.count * layout.width;
+    return {
+      halfWidth: (cos * layout.length + sin * regionWidth) / 2,
+      halfHeight: (sin * layout.length + cos * regionWidth) / 2,
+    };
+  }
+
+  function canvasToImageSpace(x, y, posX, posY) {
+    return {
+      x: (x - (p.width / 2 + posX)) / params.imageZoom,
+      y: (y - (p.height / 2 + posY)) / params.imageZoom,
+    };
+  }
+
+  /**
+   * Canvas-space geometry of the selected cut and its resize, rotate and
+   * source handles, or null when no cut is selected
+   */
+  function getCutHandles() {
+    const cutId = cutManager.getSelectedCutId();
+    const cut = cutManager.getCut(cutId);
+    if (!loadedImage || !cut) return null;
+
+    const { posX, posY } = getClampedImagePosition();
+    const cutParams = gui.getParametersForCut(cutId);
+    const { centerX, centerY, cutSize } = getCutPlacement(
+      cut,
+      cutParams,
+      posX,
+      posY
+    );
+    const radius = cutSize / 2;
+
+    // The rotate handle sits at `rotationAmount` degrees clockwise from the top
+    const angle = p.radians(cutParams.rotationAmount || 0);
+    const rotateRadius = radius + ROTATE_HANDLE_OFFSET;
+
+    return {
+      cutId,
+      centerX,
+      centerY,
+      radius,
+      resize: { x: centerX + radius, y: centerY },
+      rotate: {
+        x: centerX + Math.sin(angle) * rotateRadius,
+        y: centerY - Math.cos(angle) * rotateRadius,
+      },
+      // Where the rings sample from (see sourceOffsetX in config.js)
+      source: {
+        x: centerX + (cutParams.sourceOffsetX || 0),
+        y: centerY + (cutParams.sourceOffsetY || 0),
+      },
+    };
+  }
+
+  /**
+   * Finds what a press at (x, y) grabs: the selected cut's rotate, resize or
+   * source handle, or the center of any cut. The source handle starts on the
+   * cut center, so it is pulled out from there with Alt held.
+   * @returns {{mode: string, cutId: number}|null}
+   */
+  function hitTestCutHandles(x, y) {
+    if (!loadedImage) return null;
+
+    const handles = getCutHandles();
+    if (handles) {
+      const cutId = handles.cutId;
+      if (p.dist(x, y, handles.rotate.x, handles.rotate.y) <= HANDLE_SIZE) {
+        return { mode: "rotate", cutId };
+      }
+      if (p.dist(x, y, handles.resize.x, handles.resize.y) <= HANDLE_SIZE) {
+        return { mode: "resize", cutId };
+      }
+
+      const onSource =
+        p.dist(x, y, handles.source.x, handles.source.y) <= HANDLE_SIZE;
+      const onCenter =
+        p.dist(x, y, handles.centerX, handles.centerY) <= HANDLE_SIZE;
+      if (onSource && (!onCenter || p.keyIsDown(p.ALT))) {
+        return { mode: "source", cutId };
+      }
+    }
+
+    const { posX, posY } = getClampedImagePosition();
+    const point = canvasToImageSpace(x, y, posX, posY);
+    const cutIndex = cutManager.findNearestCut(
+      point.x,
+      point.y,
+      CENTER_HANDLE_TOLERANCE / params.imageZoom
+    );
+    if (cutIndex === -1) return null;
+
+    return {
+      mode: "move",
+      cutId: cutManager.getCuts()[cutIndex].id,
+    };
+  }
+
+  function beginCutDrag({ mode, cutId }) {
+    if (cutId !== cutManager.getSelectedCutId()) {
+      gui.selectCut(cutId);
+    }
+
+    const { posX, posY } = getClampedImagePosition();
+    const placement = getCutPlacement(
+      cutManager.getCut(cutId),
+      gui.getParametersForCut(cutId),
+      posX,
+      posY
+    );
+
+    // The source handle is grabbed relative to itself, the rest relative to
+    // the cut center
+    const cutParams = gui.getParametersForCut(cutId);
+    const grabX =
+      placement.centerX +
+      (mode === "source" ? cutParams.sourceOffsetX || 0 : 0);
+    const grabY =
+      placement.centerY +
+      (mode === "source" ? cutParams.sourceOffsetY || 0 : 0);
+
+    dragState = {
+      mode,
+      cutId,
+      offsetX: p.mouseX - grabX,
+      offsetY: p.mouseY - grabY,
+    };
+    historySuspended++;
+    showCursorPreview = false;
+  }
+
+  function updateCutDrag(x, y) {
+    const { mode, cutId } = dragState;
+    const cut = cutManager.getCut(cutId);
+    if (!cut) return;
+
+    const { posX, posY } = getClampedImagePosition();
+    const cutParams = gui.getParametersForCut(cutId);
+    const placement = getCutPlacement(cut, cutParams, posX, posY);
+
+    if (mode === "move") {
+      // Keep the stored center inside the image, where it is drawn
+      const target = canvasToImageSpace(
+        x - dragState.offsetX,
+        y - dragState.offsetY,
+        posX,
+        posY
+      );
+      const clamped = getCutPlacement(
+        { centerX: target.x, centerY: target.y },
+        cutParams,
+        posX,
+        posY
+      );
+      const center = canvasToImageSpace(
+        clamped.centerX,
+        clamped.centerY,
+        posX,
+        posY
+      );
+      cutManager.moveCut(cutId, center.x, center.y);
+    } else if (mode === "source") {
+      ["sourceOffsetX", "sourceOffsetY"].forEach((key, axis) => {
+        const offset =
+          axis === 0
+            ? x - dragState.offsetX - placement.centerX
+            : y - dragState.offsetY - placement.centerY;
+        gui.updateParameterValue(key, clampParameter(key, Math.round(offset)));
+      });
+    } else if (mode === "resize") {
+      const diameter = 2 * p.dist(x, y, placement.centerX, placement.centerY);
+      gui.updateParameterValue(
+        "cutSize",
+        clampParameter("cutSize", Math.round(diameter))
+      );
+    } else {
+      const angle = p.degrees(
+        Math.atan2(x - placement.centerX, placement.centerY - y)
+      );
+      gui.updateParameterValue(
+        "rotationAmount",
+        clampParameter("rotationAmount", Math.round(angle))
+      );
+    }
+
+    cacheManager.invalidateCut(cutId);
+  }
+
+  /**
+   * Adds a cut that starts from the parameters currently being edited, so it
+   * matches the placement preview
+   */
+  function addCutAt(centerX, centerY) {
+    const parameters = { ...gui.getEditedCutParameters() };
+    const cut = cutManager.addCut(centerX, centerY);
+    gui.addCutParameters(cut.id, parameters);
+    gui.selectCut(cut.id);
+
+    rotationTransitionStart = p.millis();
+    recordHistory("Add cut");
+    scheduleAutosave();
+  }
+
+  /**
+   * Adds a cut at the center of the image
+   */
+  function handleAddCut() {
+    if (!loadedImage) {
+      console.warn("Load an image before adding cuts");
+      return;
+    }
+    addCutAt(0, 0);
+  }
+
+  /**
+   * Removes every cut. The parameters being edited carry over to the next
+   * cut placed.
+   */
+  function clearCuts() {
+    const parameters = { ...gui.getEditedCutParameters() };
+    cutManager.clearAllCuts();
+    cacheManager.reset();
+    gui.restoreCutParameters({}, null, parameters);
+  }
+
+  function handleRemoveCut(cutId) {
+    if (!cutManager.removeCut(cutId)) return;
+
+    cacheManager.invalidateCut(cutId);
+    gui.removeCutParameters(cutId);
+    gui.selectCut(cutManager.getSelectedCutId());
+    recordHistory("Delete cut");
+    scheduleAutosave();
+  }
+
+  function handleRenameCut(cutId, name) {
+    if (!cutManager.renameCut(cutId, name)) return;
+
+    gui.refreshCutList();
+    recordHistory("Rename cut");
+    scheduleAutosave();
+  }
+
+  function handleReorderCut(cutId, offset) {
+    if (!cutManager.reorderCut(cutId, offset)) return;
+
+    gui.refreshCutList();
+    recordHistory("Reorder cut");
+    scheduleAutosave();
+  }
+
+  /**
+   * Strokes the outline of a cut's shape (see RenderEngine.traceCutShape)
+   * with the current stroke settings
+   */
+  function drawCutOutline(centerX, centerY, diameter, cutParams) {
+    const ctx = p.drawingContext;
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.beginPath();
+    renderEngine.traceCutShape(ctx, diameter, cutParams);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawCutHandles() {
+    const handles = getCutHandles();
+    if (!handles) return;
+
+    p.push();
+    p.strokeWeight(1);
+
+    // Ring (or strip, or spiral step) boundaries, faint, so the ring
+    // distribution shows. Rings with a fixed angle from the ring angle table
+    // are marked in yellow.
+    const cutParams = gui.getParametersForCut(handles.cutId);
+    const overrides = cutParams.ringAngleOverrides || {};
+    const strokeFor = (ringIndex) => {
+      if (typeof overrides[ringIndex] === "number") {
+        p.stroke(255, 200, 0);
+      } else {
+        p.stroke(255, 0, 0, 90);
+      }
+    };
+    if (cutParams.cutType === "strips") {
+      const layout = renderEngine.getStripLayout(
+        handles.radius * 2,
+        getRingCount(cutParams),
+        cutParams
+      );
+      for (let i = 0; i < layout.count; i++) {
+        strokeFor(i);
+        const ctx = p.drawingContext;
+        ctx.save();
+        ctx.translate(handles.centerX, handles.centerY);
+        ctx.beginPath();
+        renderEngine.traceStrips(ctx, layout, i);
+        ctx.stroke();
+        ctx.restore();
+      }
+    } else if (cutParams.cutType === "spiral") {
+      // The spiral itself, and for stepped spirals the steps along it
+      const layout = renderEngine.getSpiralLayout(
+        handles.radius * 2,
+        getRingCount(cutParams),
+        cutParams
+      );
+      const length = layout.span + Math.PI * 2;
+      const stepCount = layout.smooth ? 1 : layout.count;
+      for (let i = 0; i < stepCount; i++) {
+        const end = layout.span - (i * length) / stepCount;
+        strokeFor(layout.smooth ? null : i);
+        const ctx = p.drawingContext;
+        ctx.save();
+        ctx.translate(handles.centerX, handles.centerY);
+        ctx.beginPath();
+        renderEngine.traceSpiral(ctx, layout, end - length / stepCount, end);
+        ctx.stroke();
+        ctx.restore();
+      }
+    } else {
+      getRingDiameters(
+        handles.radius * 2,
+        getRingCount(cutParams),
+        cutParams
+      ).forEach((diameter, ringIndex) => {
+        strokeFor(ringIndex);
+        drawCutOutline(handles.centerX, handles.centerY, diameter, cutParams);
+      });
+    }
+
+    // Sector boundaries, clockwise from the top
+    if (cutParams.cutType === "sectors") {
+      p.stroke(255, 0, 0, 90);
+      const sectorCount = Math.max(2, Math.floor(cutParams.sectorCount || 6));
+      for (let k = 0; k < sectorCount; k++) {
+        const angle = -Math.PI / 2 + (k * Math.PI * 2) / sectorCount;
+        p.line(
+          handles.centerX,
+          handles.centerY,
+          handles.centerX + Math.cos(angle) * handles.radius,
+          handles.centerY + Math.sin(angle) * handles.radius
+        );
+      }
+    }
+
+    p.stroke(255, 0, 0);
+
+    // Center crosshair
+    p.line(
+      handles.centerX - HANDLE_SIZE,
+      handles.centerY,
+      handles.centerX + HANDLE_SIZE,
+      handles.centerY
+    );
+    p.line(
+      handles.centerX,
+      handles.centerY - HANDLE_SIZE,
+      handles.centerX,
+      handles.centerY + HANDLE_SIZE
+    );
+
+    // Arm from the center to the rotate handle
+    p.line(
+      handles.centerX,
+      handles.centerY,
+      handles.rotate.x,
+      handles.rotate.y
+    );
+
+    // Source marker, tied to its cut, with a faint outline of the area the
+    // rings sample
+    const { source } = handles;
+    if (source.x !== handles.centerX || source.y !== handles.centerY) {
+      p.stroke(0, 200, 255, 90);
+      drawCutOutline(
+        source.x,
+        source.y,
+        (handles.radius * 2) / (cutParams.sourceScale || 1),
+        cutParams
+      );
+      p.stroke(0, 200, 255);
+      p.line(handles.centerX, handles.centerY, source.x, source.y);
+      p.noFill();
+      p.ellipse(source.x, source.y, HANDLE_SIZE * 1.5, HANDLE_SIZE * 1.5);
+      p.stroke(255, 0, 0);
+    }
+
+    p.fill(255);
+    p.rectMode(p.CENTER);
+    p.rect(handles.resize.x, handles.resize.y, HANDLE_SIZE, HANDLE_SIZE);
+    p.ellipse(handles.rotate.x, handles.rotate.y, HANDLE_SIZE, HANDLE_SIZE);
+    p.pop();
+  }
+
+  /**
+   * Returns the image offset clamped so the image keeps covering the canvas
+   */
+  function getClampedImagePosition() {
+    const posBounds = calculatePositionBounds(
+      loadedImage.width,
+      loadedImage.height,
+      p.width,
+      p.height,
+      params.imageZoom
+    );
+    return {
+      posX: Math.max(
+        posBounds.minX,
+        Math.min(posBounds.maxX, params.imagePosX || 0)
+      ),
+      posY: Math.max(
+        posBounds.minY,
+        Math.min(posBounds.maxY, params.imagePosY || 0)
+      ),
+    };
+  }
+
+  /**
+   * Draws the untouched image layer at `scale` times the canvas size, straight
+   * from the full-resolution source image
+   */
+  function createPatternLayer(scale) {
+    const { posX, posY } = getClampedImagePosition();
+    return createScaledCover(loadedImage, scale, posX, posY, params.imageZoom);
+  }
+
+  /**
+   * The fill image counterpart of createPatternLayer, or null without one
+   */
+  function createFillPatternLayer(scale) {
+    if (!fillImage) return null;
+    return createScaledCover(
+      fillImage,
+      scale,
+      params.fillPosX,
+      params.fillPosY,
+      params.fillZoom
+    );
+  }
+
+  function createScaledCover(img, scale, posX, posY, zoom) {
+    const layer = createExportSurface(
+      Math.round(p.width * scale),
+      Math.round(p.height * scale)
+    );
+    drawImageCover(
+      layer,
+      img,
+      p.width * scale,
+      p.height * scale,
+      posX * scale,
+      posY * scale,
+      zoom
+    );
+    return layer;
+  }
+
+  /**
+   * Renders the image layer and every placed cut into `target`, which is
+   * `scale` times the canvas size. Guide circles and the cursor preview are
+   * never drawn here, so the result is ready for export.
+   *
+   * With a `frame` (preview frames into the loop, see getLoopFrames) the
+   * animated cuts are pinned to that point of the loop, each at its own
+   * speed; without one the cuts are drawn as the preview shows them.
+   * Scaled renders sample from `patternLayer` and `fillPatternLayer` (see
+   * createPatternLayer and createFillPatternLayer).
+   */
+  function renderCompositionFrame(
+    target,
+    {
+      frame = null,
+      scale = 1,
+      patternLayer = null,
+      fillPatternLayer = null,
+    } = {}
+  ) {
+    const { posX, posY } = getClampedImagePosition();
+
+    let pattern = patternLayer;
+    let fillPattern = fillPatternLayer;
+    if (scale === 1) {
+      updatePatternImage(posX, posY);
+      updateFillImage();
+      pattern = patternImg;
+      fillPattern = fillImg;
+    }
+
+    target.clear();
+    target.background(0);
+    drawImageCover(
+      target,
+      loadedImage,
+      p.width * scale,
+      p.height * scale,
+      posX * scale,
+      posY * scale,
+      params.imageZoom
+    );
+
+    // Cuts that sample the cuts below read a copy of the target so far;
+    // blended or translucent cuts are rendered apart, then composited
+    let composite = null;
+    let cutSurface = null;
+
+    const isLooping = frame !== null;
+    renderEngine.setFrameOverride(frame);
+    cutManager.getCuts().forEach((cut) => {
+      const cutParams = gui.getParametersForCut(cut.id);
+      const placement = getCutPlacement(cut, cutParams, posX, posY);
+      const cutSize = placement.cutSize * scale;
+
+      let source = usesFillImage(cutParams) ? fillPattern : pattern;
+      let layout = scale === 1 ? imgLayer : patternLayer;
+      if (cutParams.sampleComposite) {
+        if (!composite) {
+          composite = createExportSurface(target.width, target.height);
+        }
+        composite.clear();
+        composite.image(target, 0, 0);
+        source = composite;
+        layout = composite;
+      }
+
+      let cutTarget = target;
+      if (!isPlainComposite(cutParams)) {
+        if (!cutSurface) {
+          cutSurface = createExportSurface(target.width, target.height);
+        }
+        cutSurface.clear();
+        cutTarget = cutSurface;
+      }
+
+      renderEngine.renderCutSlices(
+        cutTarget,
+        source,
+        layout,
+        placement.centerX * scale,
+        placement.centerY * scale,
+        cutSize,
+        placement.sliceAmount,
+        cutSize,
+        cutParams.rotationAmount,
+        getCutSpeed(cutParams),
+        isLooping ? isCutAnimated(cutParams) : cutParams.animated,
+        1.0,
+        false,
+        cutParams,
+        getEdgeSource(cutParams, scale)
+      );
+
+      if (cutTarget !== target) {
+        drawCutLayer(target, cutTarget, cutParams);
+      }
+    });
+    renderEngine.setFrameOverride(null);
+    if (composite) composite.remove();
+    if (cutSurface) cutSurface.remove();
+  }
+
+  /**
+   * Rotation speed of a cut, in radians of animation phase per frame
+   */
+  function getCutSpeed(cutParams) {
+    return cutParams.rotationSpeed || speed;
+  }
+
+  /**
+   * Whether a cut turns in animated exports. Cuts animate unless set static.
+   */
+  function isCutAnimated(cutParams) {
+    return cutParams.animated !== false;
+  }
+
+  /**
+   * Length of the export loop in frames, as previewed at 60fps: the shortest
+   * time after which every animated cut has gone through whole cycles at its
+   * own speed, so the loop is seamless
+   */
+  function getLoopFrames() {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const steps = cutManager
+      .getCuts()
+      .map((cut) => gui.getParametersForCut(cut.id))
+      .filter(isCutAnimated)
+      .map((cutParams) =>
+        Math.round(Math.abs(getCutSpeed(cutParams)) * SPEED_PRECISION)
+      )
+      .filter((step) => step > 0);
+    const commonSpeed =
+      steps.length > 0 ? steps.reduce(gcd) / SPEED_PRECISION : speed;
+    return (Math.PI * 2) / commonSpeed;
+  }
+
+  /**
+   * Length of the export loop in seconds, as previewed at 60fps
+   */
+  function getCycleDuration() {
+    return getLoopFrames() / 60;
+  }
+
+  function createExportSurface(width, height) {
+    const surface = p.createGraphics(width, height);
+    surface.pixelDensity(1);
+    return surface;
+  }
+
+  /**
+   * Picks the export scale from the export settings: a target size for the
+   * longer side wins over the plain scale factor, and the result is capped
+   * at MAX_EXPORT_SIZE pixels
+   */
+  function resolveExportScale(settings) {
+    const longSide = Math.max(p.width, p.height);
+    const scale =
+      settings.exportTargetSize > 0
+        ? settings.exportTargetSize / longSide
+        : settings.exportScale;
+    return Math.min(scale, MAX_EXPORT_SIZE / longSide);
+  }
+
+  /**
+   * Creates an offscreen renderer for the composition at `scale` times the
+   * canvas size, for the exporters to pull frames from. The on-screen canvas
+   * is never resized.
+   */
+  function createFrameRenderer(scale, evenDimensions = false) {
+    const roundSize = (value) => {
+      const size = Math.max(2, Math.round(value));
+      return evenDimensions ? size - (size % 2) : size;
+    };
+    const width = roundSize(p.width * scale);
+    const height = roundSize(p.height * scale);
+
+    const surface = createExportSurface(width, height);
+    const loopFrames = getLoopFrames();
+    const patternLayer = scale === 1 ? null : createPatternLayer(scale);
+    const fillPatternLayer = scale === 1 ? null : createFillPatternLayer(scale);
+
+    return {
+      width,
+      height,
+      // Animated frame at loop position t (0-1)
+      render(t) {
+        renderCompositionFrame(surface, {
+          frame: t * loopFrames,
+          scale,
+          patternLayer,
+          fillPatternLayer,
+        });
+        return surface.elt;
+      },
+      // Still frame matching the preview
+      renderStill() {
+        renderCompositionFrame(surface, {
+          scale,
+          patternLayer,
+          fillPatternLayer,
+        });
+        return surface.elt;
+      },
+      dispose() {
+        surface.remove();
+        if (patternLayer) patternLayer.remove();
+        if (fillPatternLayer) fillPatternLayer.remove();
+      },
+    };
+  }
+
+  async function handleExportVideo(settings, onProgress) {
+    if (!loadedImage) {
+      console.warn("Load an image before exporting a video");
+      return;
+    }
+
+    // Video encoders need even frame dimensions
+    const renderer = createFrameRenderer(resolveExportScale(settings), true);
+
+    try {
+      const blob = await exportManager.exportWebM(renderer.render, {
+        width: renderer.width,
+        height: renderer.height,
+        frameCount: Math.round(getCycleDuration() * VIDEO_FRAME_RATE),
+        frameRate: VIDEO_FRAME_RATE,
+        onProgress,
+      });
+      Utils.downloadBlob(blob, "output.webm");
+      console.log("Video exported");
+    } finally {
+      renderer.dispose();
+    }
+  }
+
+  /**
+   * Describes everything needed to reproduce an exported image sequence:
+   * output size, loop timing and each cut and its parameters
+   */
+  function getSequenceSidecar(renderer, frameCount) {
+    return {
+      width: renderer.width,
+      height: renderer.height,
+      frameCount,
+      // Frame i shows the loop frameStep * i preview frames in; each
+      // animated cut's phase (radians) there is that times its rotation speed
+      frameStep: getLoopFrames() / frameCount,
+      // Rotation speed of cuts that don't set their own
+      rotationSpeed: speed,
+      cycleDuration: getCycleDuration(),
+      selectedCutId: cutManager.getSelectedCutId(),
+      cuts: cutManager.getCuts().map((cut) => ({
+        id: cut.id,
+        name: cut.name,
+        centerX: cut.centerX,
+        centerY: cut.centerY,
+        parameters: gui.getParametersForCut(cut.id),
+      })),
+    };
+  }
+
+  async function handleExportAnimation(format, settings, onProgress) {
+    if (!loadedImage) {
+      console.warn("Load an image before exporting an animation");
+      return;
+    }
+
+    const renderer = createFrameRenderer(resolveExportScale(settings));
+    const options = {
+      width: renderer.width,
+      height: renderer.height,
+      frameCount: Math.round(settings.exportFrameCount),
+      frameDelay: settings.exportFrameDelay,
+      onProgress,
+    };
+
+    try {
+      if (format === "gif") {
+        const blob = await exportManager.exportGIF(renderer.render, {
+          ...options,
+          paletteSize: Math.round(settings.gifPaletteSize),
+          dithering: settings.gifDithering,
+        });
+        Utils.downloadBlob(blob, "output.gif");
+      } else if (format === "apng") {
+        const blob = await exportManager.exportAPNG(renderer.render, options);
+        Utils.downloadBlob(blob, "output.png");
+      } else if (format === "sequence") {
+        const blob = await exportManager.exportImageSequence(renderer.render, {
+          frameCount: options.frameCount,
+          sidecar: settings.sequenceSidecar
+            ? getSequenceSidecar(renderer, options.frameCount)
+            : null,
+          onProgress,
+        });
+        Utils.downloadBlob(blob, "output_frames.zip");
+      } else {
+        throw new Error(`Unknown animation format: ${format}`);
+      }
+      console.log(`Animation exported as ${format}`);
+    } finally {
+      renderer.dispose();
+    }
+  }
+
+  function handleImageLoaded(imageDataUrl, onLoaded, onError) {
+    // A new image starts a new session; the previous one stays restorable
+    startNewSession();
+
+    p.loadImage(
+      imageDataUrl,
+      (img) => {
+        loadedImage = img;
+        loadedImageSource = { dataUrl: imageDataUrl };
+        console.log("Image loaded:", img.width, "x", img.height);
+
+        patternImg = null;
+        lastPatternPosX = null;
+        lastPatternPosY = null;
+        lastPatternZoom = null;
+
+        cacheManager.reset();
+
+        display.clear();
+        lastCutSize = null;
+        lastSliceAmount = null;
+        lastRotationAmount = null;
+        lastRotationMethod = null;
+        lastDisplayPosX = null;
+        lastDisplayPosY = null;
+        lastDisplayZoom = null;
+
+        clearCuts();
+        rotationTransitionStart = null;
+
+        updateZoomSliderBounds();
+        updatePositionSliderBounds();
+        updateCutSizeSliderBounds();
+
+        // Earlier steps refer to the previous image
+        resetHistory();
+
+        if (onLoaded) onLoaded();
+        scheduleAutosave();
+      },
+      onError
+    );
+  }
+
+  /**
+   * Loads the fill image from a { dataUrl } or { url } source, or removes it
+   * when `source` is null. The fill image's framing is reset either way.
+   * @returns {Promise} - Resolves once the fill image is in place
+   */
+  function setFillImage(source) {
+    return new Promise((resolve, reject) => {
+      const apply = (img) => {
+        applyFillImage(img, source);
+        resolve();
+      };
+
+      if (!source) {
+        apply(null);
+        return;
+      }
+      p.loadImage(source.dataUrl || source.url, apply, () =>
+        reject(new Error("The fill image could not be loaded"))
+      );
+    });
+  }
+
+  /**
+   * Makes a loaded image (or null) the fill image
+   */
+  function applyFillImage(img, source) {
+    fillImage = img;
+    fillImageSource = img ? source : null;
+    fillImg = null;
+    cacheManager.invalidateAll();
+    gui.setHasFillImage(img !== null);
+    withHistorySuspended(updateFillSliderBounds);
+  }
+
+  function handleFillImageLoaded(imageDataUrl) {
+    setFillImage({ dataUrl: imageDataUrl })
+      .then(() => {
+        console.log(
+          "Fill image loaded:",
+          fillImage.width,
+          "x",
+          fillImage.height
+        );
+        onFillImageChanged();
+      })
+      .catch((error) => console.warn(error.message));
+  }
+
+  function handleRemoveFillImage() {
+    setFillImage(null).then(() => {
+      console.log("Fill image removed");
+      onFillImageChanged();
+    });
+  }
+
+  /**
+   * Records the fill image framing reset as one history step
+   */
+  function onFillImageChanged() {
+    recordHistory("Fill image");
+    scheduleAutosave();
+  }
+
+  /**
+   * @param {Function} serializeImage - Maps an image source to what the
+   *   project should store for it; the source itself embeds or references it
+   */
+  function serializeCurrentProject(serializeImage = (source) => source) {
+    return serializeProject({
+      image: serializeImage(loadedImageSource),
+      fillImage: fillImageSource ? serializeImage(fillImageSource) : null,
+      globalParameters: gui.globalParameters,
+      cuts: cutManager.getCuts(),
+      cutParametersMap: gui.cutParametersMap,
+      selectedCutId: cutManager.getSelectedCutId(),
+    });
+  }
+
+  function handleSaveProject() {
+    if (!loadedImage) {
+      console.warn("Load an image before saving a project");
+      return;
+    }
+
+    const json = serializeCurrentProject();
+    Utils.downloadBlob(
+      new Blob([json], { type: "application/json" }),
+      `composition${PROJECT_EXTENSION}`
+    );
+    console.log("Project saved");
+  }
+
+  /**
+   * Opens .cinetiser project text, replacing the current composition
+   * @param {string} text - Project JSON
+   * @param {object} storedImages - Images the project references by key
+   * @returns {Promise} - Resolves once the image has loaded and state is restored
+   */
+  function handleOpenProject(text, storedImages = {}) {
+    const project = parseProject(text, storedImages);
+    const globals = project.globalParameters;
+
+    return new Promise((resolve, reject) => {
+      handleImageLoaded(
+        project.image.dataUrl || project.image.url,
+        () => {
+          loadedImageSource = project.image;
+
+          // A malformed project fails the open rather than leaving it
+          // pending
+          setFillImage(project.fillImage)
+            .then(() => {
+              if (
+                isFinite(globals.canvasWidth) &&
+                isFinite(globals.canvasHeight)
+              ) {
+                gui.applyCanvasPreset(
+                  clampParameter("canvasWidth", globals.canvasWidth),
+                  clampParameter("canvasHeight", globals.canvasHeight)
+                );
+              }
+
+              // Zoom first: it recomputes the position bounds and recenters
+              [
+                "imageZoom",
+                "imagePosX",
+                "imagePosY",
+                "fillZoom",
+                "fillPosX",
+                "fillPosY",
+                "lightAngle",
+              ].forEach((key) => {
+                if (isFinite(globals[key])) {
+                  gui.updateParameterValue(key, Number(globals[key]));
+                }
+              });
+
+              cutManager.restoreCuts(project.cuts, project.selectedCutId);
+              gui.restoreCutParameters(
+                Object.fromEntries(
+                  project.cuts.map((cut) => [cut.id, cut.parameters])
+                ),
+                project.selectedCutId
+              );
+              cacheManager.reset();
+              rotationTransitionStart = null;
+              resetHistory();
+
+              console.log("Project opened");
+            })
+            .then(resolve, reject);
+        },
+        () => reject(new Error("The project's image could not be loaded"))
+      );
+    });
+  }
+
+  /**
+   * Queues a write of the current session. Bursts of edits (e.g. dragging a
+   * slider) collapse into one write once things settle.
+   */
+  function scheduleAutosave() {
+    if (!sessionStore.isSupported()) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveSession, AUTOSAVE_DELAY);
+  }
+
+  async function autosaveSession() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!loadedImage) return;
+
+    if (!sessionId) sessionId = sessionStore.createSessionId();
+
+    // The project references its images by key; the store only writes the
+    // payloads of keys it has not seen
+    const images = {};
+    const project = serializeCurrentProject((source) => {
+      if (!sessionImageKeys.has(source)) {
+        sessionImageKeys.set(source, sessionStore.createImageKey());
+      }
+      const key = sessionImageKeys.get(source);
+      images[key] = source;
+      return { key };
     });
+
+    try {
+      await sessionStore.save({
+        id: sessionId,
+        project,
+        thumbnail: createSessionThumbnail(),
+        images,
+      });
+    } catch (error) {
+      console.warn("Autosave failed:", error);
+    }
+  }
+
+  /**
+   * Writes any pending edits to the current session, then detaches from it so
+   * the next autosave creates a new one
+   */
+  function startNewSession() {
+    if (autosaveTimer !== null) autosaveSession();
+    sessionId = null;
+  }
+
+  /**
+   * Small still of the composition, rendered like an export so the guides
+   * and handles stay out of it
+   */
+  function createSessionThumbnail() {
+    const renderer = createFrameRenderer(
+      SESSION_THUMBNAIL_SIZE / Math.max(p.width, p.height)
+    );
+    try {
+      return renderer.renderStill().toDataURL("image/jpeg", 0.8);
+    } finally {
+      renderer.dispose();
+    }
+  }
+
+  async function handleRestoreSession(id) {
+    const session = await sessionStore.get(id);
+    if (!session) {
+      throw new Error("Session is no longer available");
+    }
+
+    const images = await sessionStore.getImages(session);
+    await handleOpenProject(session.project, images);
+
+    // Keep writing to the restored session and its stored images rather
+    // than starting copies
+    sessionId = session.id;
+    Object.entries(images).forEach(([key, source]) =>
+      sessionImageKeys.set(source, key)
+    );
+    console.log("Session restored");
   }
 
   function updateZoomSliderBounds() {
@@ -816,6 +2168,42 @@ export default function sketch(p) {
     gui.updateParameterValue("imagePosY", 0);
   }
 
+  /**
+   * The fill image's zoom and position bounds, as for the image; resets its
+   * framing
+   */
+  function updateFillSliderBounds() {
+    if (!fillImage) return;
+
+    const minZoom = calculateMinZoom(
+      fillImage.width,
+      fillImage.height,
+      params.canvasWidth,
+      params.canvasHeight
+    );
+
+    gui.updateSliderBounds("fillZoom", minZoom, 3.0);
+    gui.updateParameterValue("fillZoom", 1.0);
+  }
+
+  function updateFillPositionBounds() {
+    if (!fillImage) return;
+
+    const bounds = calculatePositionBounds(
+      fillImage.width,
+      fillImage.height,
+      params.canvasWidth,
+      params.canvasHeight,
+      params.fillZoom
+    );
+
+    gui.updateSliderBounds("fillPosX", bounds.minX, bounds.maxX);
+    gui.updateSliderBounds("fillPosY", bounds.minY, bounds.maxY);
+
+    gui.updateParameterValue("fillPosX", 0);
+    gui.updateParameterValue("fillPosY", 0);
+  }
+
   function updateCutSizeSliderBounds() {
     if (!loadedImage) return;
 
@@ -829,7 +2217,10 @@ export default function sketch(p) {
     const zoomedImageWidth = coverDims.width * params.imageZoom;
     const zoomedImageHeight = coverDims.height * params.imageZoom;
 
-    const maxDiameter = Math.min(zoomedImageWidth, zoomedImageHeight);
+    // Cuts that may overhang the image aren't limited by its size
+    const maxDiameter = allowsOverhang(gui.getEditedCutParameters())
+      ? GUI_CONFIG.cutSize.max
+      : Math.min(zoomedImageWidth, zoomedImageHeight);
 
     gui.updateSliderBounds("cutSize", 100, maxDiameter);
 
@@ -837,6 +2228,15 @@ export default function sketch(p) {
   }
 
   function handleParameterChange(paramName, value, allParameters) {
+    // Bound updates triggered by this change belong to the same step
+    withHistorySuspended(() =>
+      applyParameterChange(paramName, value, allParameters)
+    );
+    recordHistory(paramName, getHistoryCoalesceKey(paramName));
+    scheduleAutosave();
+  }
+
+  function applyParameterChange(paramName, value, allParameters) {
     // Remove speed from params
     params = { ...allParameters };
     delete params.rotationSpeed;
@@ -861,6 +2261,9 @@ export default function sketch(p) {
       updateZoomSliderBounds();
       updatePositionSliderBounds();
       updateCutSizeSliderBounds();
+
+      fillImg = null;
+      updateFillSliderBounds();
     }
 
     if (paramName === "imageZoom") {
@@ -873,36 +2276,179 @@ export default function sketch(p) {
       cacheManager.invalidateAll();
     }
 
-    if (
-      paramName === "cutSize" ||
-      paramName === "sliceAmount" ||
-      paramName === "rotationAmount" ||
-      paramName === "rotationSpeed" ||
-      paramName === "rotationMethod" ||
-      paramName === "animated"
-    ) {
-      cacheManager.invalidateAllExcept(cutManager.getSelectedCutSlot());
+    if (paramName === "fillZoom") {
+      updateFillPositionBounds();
+      cacheManager.invalidateAll();
+    }
+
+    if (paramName === "fillPosX" || paramName === "fillPosY") {
+      cacheManager.invalidateAll();
+    }
+
+    // Any per-cut parameter
+    if (!gui.globalParameterKeys.includes(paramName)) {
+      cacheManager.invalidateAllExcept(cutManager.getSelectedCutId());
     }
 
     if (paramName === "rotationMethod") {
       rotationTransitionStart = p.millis();
     }
+
+    if (paramName === "edgePolicy") {
+      updateCutSizeSliderBounds();
+    }
+  }
+
+  /**
+   * Snapshot of everything undo/redo covers
+   */
+  function captureState() {
+    return {
+      globalParameters: { ...gui.globalParameters },
+      cuts: cutManager.getCuts().map((cut) => ({ ...cut })),
+      cutParametersMap: JSON.parse(JSON.stringify(gui.cutParametersMap)),
+      newCutParameters: { ...gui.newCutParameters },
+      selectedCutId: cutManager.getSelectedCutId(),
+      // Held by reference; compared by identity (see recordHistory)
+      fill: { image: fillImage, source: fillImageSource },
+    };
+  }
+
+  function resetHistory() {
+    historyManager.clear();
+    committedState = captureState();
+    gui.updateHistoryButtons(false, false);
   }
 
-  function handleSave() {
-    const guideCircleWasVisible = showGuideCircle;
-    showGuideCircle = false;
+  function withHistorySuspended(fn) {
+    historySuspended++;
+    try {
+      fn();
+    } finally {
+      historySuspended--;
+    }
+  }
 
-    p.draw();
+  /**
+   * Edits of the same control (or the two canvas dimensions, or the two
+   * position axes of an image) in quick succession undo as one step
+   */
+  function getHistoryCoalesceKey(paramName) {
+    if (paramName === "canvasWidth" || paramName === "canvasHeight") {
+      return "canvasSize";
+    }
+    if (paramName === "imagePosX" || paramName === "imagePosY") {
+      return "imagePosition";
+    }
+    if (paramName === "fillPosX" || paramName === "fillPosY") {
+      return "fillPosition";
+    }
+    if (gui.globalParameterKeys.includes(paramName)) {
+      return paramName;
+    }
+    return `${paramName}:${cutManager.getSelectedCutId()}`;
+  }
 
-    p.saveCanvas("output", "png");
-    console.log("Canvas saved");
+  /**
+   * Records the change since the last step, if anything changed
+   */
+  function recordHistory(label, coalesceKey = null) {
+    if (historySuspended > 0 || !committedState) return;
+
+    const state = captureState();
+    // Undoing returns to the cut the edit was made in
+    const before = {
+      ...committedState,
+      selectedCutId: state.selectedCutId,
+    };
+    const { fill: fillBefore, ...restBefore } = before;
+    const { fill: fillAfter, ...restAfter } = state;
+    if (
+      fillBefore.image === fillAfter.image &&
+      JSON.stringify(restBefore) === JSON.stringify(restAfter)
+    ) {
+      return;
+    }
 
-    showGuideCircle = guideCircleWasVisible;
+    historyManager.record(label, before, state, coalesceKey);
+    committedState = state;
+    gui.updateHistoryButtons(
+      historyManager.canUndo(),
+      historyManager.canRedo()
+    );
+  }
+
+  function applyHistoryState(state) {
+    if (!state) return;
+
+    withHistorySuspended(() => {
+      const globals = state.globalParameters;
+      if (
+        globals.canvasWidth !== params.canvasWidth ||
+        globals.canvasHeight !== params.canvasHeight
+      ) {
+        gui.applyCanvasPreset(globals.canvasWidth, globals.canvasHeight);
+      }
+
+      // Before the fill framing, which loading a fill image resets
+      if (state.fill.image !== fillImage) {
+        applyFillImage(state.fill.image, state.fill.source);
+      }
+
+      // Zoom first: it recomputes the position bounds and recenters
+      [
+        "imageZoom",
+        "imagePosX",
+        "imagePosY",
+        "fillZoom",
+        "fillPosX",
+        "fillPosY",
+        "lightAngle",
+      ].forEach((key) => {
+        if (gui.globalParameters[key] !== globals[key]) {
+          gui.updateParameterValue(key, globals[key]);
+        }
+      });
+
+      cutManager.restoreCuts(state.cuts, state.selectedCutId);
+      gui.restoreCutParameters(
+        state.cutParametersMap,
+        state.selectedCutId,
+        state.newCutParameters
+      );
+      cacheManager.reset();
+    });
+
+    committedState = captureState();
+    gui.updateHistoryButtons(
+      historyManager.canUndo(),
+      historyManager.canRedo()
+    );
+    scheduleAutosave();
+  }
+
+  async function handleSave(settings, onProgress) {
+    if (!loadedImage) {
+      console.warn("Load an image before saving");
+      return;
+    }
+
+    const renderer = createFrameRenderer(resolveExportScale(settings));
+
+    try {
+      const blob = await exportManager.exportPNG(renderer.renderStill);
+      if (onProgress) onProgress(1);
+      Utils.downloadBlob(blob, "output.png");
+      console.log(`Canvas saved at ${renderer.width}×${renderer.height}`);
+    } finally {
+      renderer.dispose();
+    }
   }
 
   function handleReset() {
-    cutManager.clearAllCuts();
+    // Keep the composition being reset restorable from recent sessions
+    startNewSession();
+    clearCuts();
 
     params.imagePosX = 0;
     params.imagePosY = 0;
@@ -928,9 +2474,12 @@ export default function sketch(p) {
 
     if (gui && gui.updateParameterValue) {
       setTimeout(() => {
-        gui.updateParameterValue("imagePosX", 0);
-        gui.updateParameterValue("imagePosY", 0);
-        gui.updateParameterValue("imageZoom", 1);
+        withHistorySuspended(() => {
+          gui.updateParameterValue("imagePosX", 0);
+          gui.updateParameterValue("imagePosY", 0);
+          gui.updateParameterValue("imageZoom", 1);
+        });
+        recordHistory("Reset");
       }, 0);
     }
 
@@ -966,12 +2515,8 @@ export default function sketch(p) {
 
   function getDebugInfo() {
     return {
-      selectedCutSlot: cutManager.getSelectedCutSlot(),
-      cutSlots: cutManager.getCutSlots().map((cut, idx) => ({
-        slotIndex: idx,
-        hasCut: cut !== null,
-        cut: cut,
-      })),
+      selectedCutId: cutManager.getSelectedCutId(),
+      cuts: cutManager.getCuts().map((cut) => ({ ...cut })),
       currentParameters: { ...params },
       activeCuts: cutManager.getCuts().length,
     };
@@ -979,15 +2524,11 @@ export default function sketch(p) {
 
   function logCutParameterState() {
     console.log("=== CUT PARAMETER STATE ===");
-    console.log("Selected Slot:", cutManager.getSelectedCutSlot());
-    cutManager.getCutSlots().forEach((cut, idx) => {
-      if (cut !== null) {
-        console.log(`Slot ${idx}:`, {
-          center: { x: cut.centerX, y: cut.centerY },
-        });
-      } else {
-        console.log(`Slot ${idx}: [empty]`);
-      }
+    console.log("Selected Cut:", cutManager.getSelectedCutId());
+    cutManager.getCuts().forEach((cut) => {
+      console.log(`Cut ${cut.id} (${cut.name}):`, {
+        center: { x: cut.centerX, y: cut.centerY },
+      });
     });
     console.log("Current Global Params:", params);
     console.log("===========================");
@@ -996,12 +2537,12 @@ export default function sketch(p) {
   window.cinetiserDebug = {
     getDebugInfo,
     logCutParameterState,
-    getCutSlots: () => cutManager.getCutSlots(),
-    getSelectedSlot: () => cutManager.getSelectedCutSlot(),
+    getCuts: () => cutManager.getCuts(),
+    getSelectedCutId: () => cutManager.getSelectedCutId(),
     getParams: () => params,
     getCutParametersMap: () =>
       window.gui ? window.gui.cutParametersMap : null,
-    getCurrentCutIndex: () => (window.gui ? window.gui.currentCutIndex : null),
+    getCurrentCutId: () => (window.gui ? window.gui.currentCutId : null),
   };
 }
 